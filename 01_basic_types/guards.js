@@ -0,0 +1,134 @@
+// ****** Guards ******
+// basic_types.ts narrows unknown values with typeof checks written on the spot, or
+// skips the check with `someValue as string`. Data parsed from JSON is unknown too, and
+// a cast there only moves the crash further from its cause. The guards below are type
+// predicates that can be combined: shape({ name: isString, tags: isArrayOf(isString) })
+// checks a whole object and narrows it to { name: string; tags: string[] }.
+// assertType(value, guard) throws an error naming every part that doesn't match:
+// "config.tags[2]: expected string, got number".
+//
+// The checking itself is done by the validators of validation.ts; a guard is the
+// `value is T` side of one, usable in an if.
+import { array, formatIssues, literal, number, object, string, Validator, } from "../04_literal_types/validation";
+import { describe } from "../05_unions_and_intersection_types/response_decoder";
+function isGuard(guard) {
+    return guard.validator instanceof Validator;
+}
+// A guard that only says yes or no, like a typeof check or one written by hand.
+// `expected` names what it accepts, for a hand-written guard that is its name.
+class TypeGuardValidator extends Validator {
+    constructor(guard, expected) {
+        super();
+        this.guard = guard;
+        this.expected = expected;
+    }
+    check(value, path) {
+        if (this.guard(value))
+            return [];
+        return [
+            { path, message: `expected ${this.expected}, got ${describe(value)}` },
+        ];
+    }
+}
+function validatorOf(guard) {
+    if (isGuard(guard))
+        return guard.validator;
+    return new TypeGuardValidator(guard, guard.name || "a valid value");
+}
+function fromValidator(validator) {
+    const guard = (value) => validator.is(value);
+    return Object.assign(guard, { validator });
+}
+// ===================
+// Primitives
+// ===================
+export const isString = fromValidator(string());
+// NaN is not a number here, as in validation.ts
+export const isNumber = fromValidator(number());
+export const isBoolean = fromValidator(new TypeGuardValidator((value) => typeof value === "boolean", "boolean"));
+export const isBigInt = fromValidator(new TypeGuardValidator((value) => typeof value === "bigint", "bigint"));
+// A non-null object that isn't an array, like every JSON object
+export const isRecord = fromValidator(object({}));
+// isLiteral("small", "large") narrows to "small" | "large"
+export function isLiteral(...values) {
+    return fromValidator(literal(...values));
+}
+// ===================
+// Combinators
+// ===================
+export function isArrayOf(guard) {
+    return fromValidator(array(validatorOf(guard)));
+}
+class TupleValidator extends Validator {
+    constructor(items) {
+        super();
+        this.items = items;
+    }
+    check(value, path) {
+        const expected = `array of length ${this.items.length}`;
+        if (!Array.isArray(value)) {
+            return [
+                { path, message: `expected ${expected}, got ${describe(value)}` },
+            ];
+        }
+        if (value.length !== this.items.length) {
+            const got = `length ${value.length}`;
+            return [{ path, message: `expected ${expected}, got ${got}` }];
+        }
+        let issues = [];
+        this.items.forEach((item, i) => {
+            issues = issues.concat(item.issues(value[i], `${path}[${i}]`));
+        });
+        return issues;
+    }
+}
+// An array of exactly guards.length elements, each checked by its own guard:
+// isTupleOf(isString, isNumber) narrows to [string, number]
+export function isTupleOf(...guards) {
+    return fromValidator(new TupleValidator(guards.map(validatorOf)));
+}
+// Whether `value` is an object with its own `key`, optionally checking what is there
+export function hasKey(value, key, guard) {
+    return (isRecord(value) &&
+        Object.prototype.hasOwnProperty.call(value, key) &&
+        (!guard || guard(value[key])));
+}
+export function optional(guard) {
+    return fromValidator(validatorOf(guard).optional());
+}
+// An object with (at least) the given properties. Properties that aren't in the shape
+// are allowed and left alone, so new fields in a JSON response don't break old code.
+export function shape(guards) {
+    const validators = {};
+    for (const key of Object.keys(guards)) {
+        validators[key] = validatorOf(guards[key]);
+    }
+    return fromValidator(object(validators));
+}
+// ===================
+// Assertions
+// ===================
+export class TypeAssertionError extends TypeError {
+    constructor() {
+        super(...arguments);
+        this.name = "TypeAssertionError";
+    }
+}
+// Narrows `value` like an if (guard(value)) around the rest of the function. `name` is
+// where the paths in the error message start.
+export function assertType(value, guard, name = "value") {
+    const issues = validatorOf(guard).issues(value, name);
+    if (issues.length > 0) {
+        throw new TypeAssertionError(`${formatIssues(issues)}.`);
+    }
+}
+// const isUser = shape({
+//   name: isString,
+//   role: isLiteral("admin", "user"),
+//   tags: isArrayOf(isString),
+//   manager: optional(isString),
+// });
+//
+// const data: unknown = JSON.parse('{"name":"Ada","role":"admin","tags":["x", 42]}');
+// if (isUser(data)) data.role; // "admin" | "user"
+// assertType(data, isUser, "data"); // TypeAssertionError: data.tags[1]: expected string, got number.
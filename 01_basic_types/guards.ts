@@ -0,0 +1,231 @@
+// ****** Guards ******
+
+// basic_types.ts narrows unknown values with typeof checks written on the spot, or
+// skips the check with `someValue as string`. Data parsed from JSON is unknown too, and
+// a cast there only moves the crash further from its cause. The guards below are type
+// predicates that can be combined: shape({ name: isString, tags: isArrayOf(isString) })
+// checks a whole object and narrows it to { name: string; tags: string[] }.
+// assertType(value, guard) throws an error naming every part that doesn't match:
+// "config.tags[2]: expected string, got number".
+//
+// The checking itself is done by the validators of validation.ts; a guard is the
+// `value is T` side of one, usable in an if.
+
+import {
+  array,
+  formatIssues,
+  Infer,
+  literal,
+  number,
+  object,
+  OptionalValidator,
+  string,
+  ValidationIssue,
+  Validator,
+} from "../04_literal_types/validation";
+import { describe } from "../05_unions_and_intersection_types/response_decoder";
+
+// ===================
+// Guard types
+// ===================
+
+export type TypeGuard<T> = (value: unknown) => value is T;
+
+// The guards in this file carry the validator they were made from. Any plain TypeGuard
+// can be used wherever they are accepted.
+export interface Guard<T> extends TypeGuard<T> {
+  readonly validator: Validator<T>;
+}
+
+export type GuardedType<G> = G extends (value: unknown) => value is infer T
+  ? T
+  : never;
+
+function isGuard<T>(guard: TypeGuard<T>): guard is Guard<T> {
+  return (guard as Guard<T>).validator instanceof Validator;
+}
+
+// A guard that only says yes or no, like a typeof check or one written by hand.
+// `expected` names what it accepts, for a hand-written guard that is its name.
+class TypeGuardValidator<T> extends Validator<T> {
+  constructor(private guard: TypeGuard<T>, private expected: string) {
+    super();
+  }
+
+  protected check(value: unknown, path: string): ValidationIssue[] {
+    if (this.guard(value)) return [];
+    return [
+      { path, message: `expected ${this.expected}, got ${describe(value)}` },
+    ];
+  }
+}
+
+function validatorOf<T>(guard: TypeGuard<T>): Validator<T> {
+  if (isGuard(guard)) return guard.validator;
+  return new TypeGuardValidator(guard, guard.name || "a valid value");
+}
+
+function fromValidator<V extends Validator<any>>(
+  validator: V
+): Guard<Infer<V>> & { readonly validator: V } {
+  const guard = (value: unknown): value is Infer<V> => validator.is(value);
+  return Object.assign(guard, { validator });
+}
+
+// ===================
+// Primitives
+// ===================
+
+export const isString = fromValidator(string());
+
+// NaN is not a number here, as in validation.ts
+export const isNumber = fromValidator(number());
+
+export const isBoolean = fromValidator(
+  new TypeGuardValidator(
+    (value): value is boolean => typeof value === "boolean",
+    "boolean"
+  )
+);
+
+export const isBigInt = fromValidator(
+  new TypeGuardValidator(
+    (value): value is bigint => typeof value === "bigint",
+    "bigint"
+  )
+);
+
+// A non-null object that isn't an array, like every JSON object
+export const isRecord = fromValidator(
+  object({}) as Validator<Record<string, unknown>>
+);
+
+// isLiteral("small", "large") narrows to "small" | "large"
+export function isLiteral<T extends (string | number | boolean | null)[]>(
+  ...values: T
+): Guard<T[number]> {
+  return fromValidator(literal(...values));
+}
+
+// ===================
+// Combinators
+// ===================
+
+export function isArrayOf<T>(guard: TypeGuard<T>): Guard<T[]> {
+  return fromValidator(array(validatorOf(guard)));
+}
+
+class TupleValidator<T extends unknown[]> extends Validator<T> {
+  constructor(private items: Validator<unknown>[]) {
+    super();
+  }
+
+  protected check(value: unknown, path: string): ValidationIssue[] {
+    const expected = `array of length ${this.items.length}`;
+    if (!Array.isArray(value)) {
+      return [
+        { path, message: `expected ${expected}, got ${describe(value)}` },
+      ];
+    }
+    if (value.length !== this.items.length) {
+      const got = `length ${value.length}`;
+      return [{ path, message: `expected ${expected}, got ${got}` }];
+    }
+    let issues: ValidationIssue[] = [];
+    this.items.forEach((item, i) => {
+      issues = issues.concat(item.issues(value[i], `${path}[${i}]`));
+    });
+    return issues;
+  }
+}
+
+// An array of exactly guards.length elements, each checked by its own guard:
+// isTupleOf(isString, isNumber) narrows to [string, number]
+export function isTupleOf<G extends TypeGuard<unknown>[]>(
+  ...guards: G
+): Guard<{ [I in keyof G]: GuardedType<G[I]> }> {
+  return fromValidator(
+    new TupleValidator<{ [I in keyof G]: GuardedType<G[I]> }>(
+      guards.map(validatorOf)
+    )
+  );
+}
+
+// Whether `value` is an object with its own `key`, optionally checking what is there
+export function hasKey<K extends string, T = unknown>(
+  value: unknown,
+  key: K,
+  guard?: TypeGuard<T>
+): value is Record<K, T> {
+  return (
+    isRecord(value) &&
+    Object.prototype.hasOwnProperty.call(value, key) &&
+    (!guard || guard(value[key]))
+  );
+}
+
+// Marks a property of a shape() that may be missing or undefined
+export type OptionalGuard<T> = Guard<T | undefined> & {
+  readonly validator: OptionalValidator<T>;
+};
+
+export function optional<T>(guard: TypeGuard<T>): OptionalGuard<T> {
+  return fromValidator(validatorOf(guard).optional());
+}
+
+type OptionalKeys<S> = {
+  [K in keyof S]: S[K] extends OptionalGuard<any> ? K : never;
+}[keyof S];
+
+type RequiredKeys<S> = Exclude<keyof S, OptionalKeys<S>>;
+
+type Simplify<T> = { [K in keyof T]: T[K] };
+
+export type Shape<S extends Record<string, TypeGuard<unknown>>> = Simplify<
+  { [K in RequiredKeys<S>]: GuardedType<S[K]> } &
+    { [K in OptionalKeys<S>]?: GuardedType<S[K]> }
+>;
+
+// An object with (at least) the given properties. Properties that aren't in the shape
+// are allowed and left alone, so new fields in a JSON response don't break old code.
+export function shape<S extends Record<string, TypeGuard<unknown>>>(
+  guards: S
+): Guard<Shape<S>> {
+  const validators: { [key: string]: Validator<unknown> } = {};
+  for (const key of Object.keys(guards)) {
+    validators[key] = validatorOf(guards[key]);
+  }
+  return fromValidator(object(validators) as Validator<Shape<S>>);
+}
+
+// ===================
+// Assertions
+// ===================
+
+export class TypeAssertionError extends TypeError {
+  name = "TypeAssertionError";
+}
+
+// Narrows `value` like an if (guard(value)) around the rest of the function. `name` is
+// where the paths in the error message start.
+export function assertType<T>(
+  value: unknown,
+  guard: TypeGuard<T>,
+  name = "value"
+): asserts value is T {
+  const issues = validatorOf(guard).issues(value, name);
+  if (issues.length > 0) {
+    throw new TypeAssertionError(`${formatIssues(issues)}.`);
+  }
+}
+
+// const isUser = shape({
+//   name: isString,
+//   role: isLiteral("admin", "user"),
+//   tags: isArrayOf(isString),
+//   manager: optional(isString),
+// });
+//
+// const data: unknown = JSON.parse('{"name":"Ada","role":"admin","tags":["x", 42]}');
+// if (isUser(data)) data.role; // "admin" | "user"
+// assertType(data, isUser, "data"); // TypeAssertionError: data.tags[1]: expected string, got number.
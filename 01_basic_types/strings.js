@@ -0,0 +1,207 @@
+// ****** Strings ******
+// reverse() in basic_types.ts reverses s.split(""), i.e. UTF-16 code units: "👍🏽" comes
+// out as broken surrogates and "é" written as e + U+0301 puts the accent on the wrong
+// letter. padLeft2 in unions_and_intersection_types.ts promises "a number of spaces or
+// a literal prefix" but has no body. The functions below work on graphemes (what a
+// reader sees as one character) and on display width, where CJK characters and most
+// emoji take two terminal columns, so CLI tables line up.
+// ===================
+// Graphemes
+// ===================
+// A simplified version of the Unicode grapheme cluster rules (UAX #29) that covers
+// combining marks, emoji modifiers, ZWJ sequences, flags and Hangul jamo. Intl.Segmenter
+// does this properly but isn't available everywhere yet.
+const COMBINING_MARK = /^\p{M}$/u;
+function isExtend(cp) {
+    return (COMBINING_MARK.test(String.fromCodePoint(cp)) ||
+        (cp >= 0x1f3fb && cp <= 0x1f3ff) || // skin tone modifiers
+        (cp >= 0xe0020 && cp <= 0xe007f) || // tags, used by subdivision flags
+        cp === 0x200c // zero width non-joiner
+    );
+}
+const ZWJ = 0x200d;
+function isRegionalIndicator(cp) {
+    return cp >= 0x1f1e6 && cp <= 0x1f1ff;
+}
+function jamo(cp) {
+    if (cp >= 0x1100 && cp <= 0x115f)
+        return "L";
+    if (cp >= 0x1160 && cp <= 0x11a7)
+        return "V";
+    if (cp >= 0x11a8 && cp <= 0x11ff)
+        return "T";
+    if (cp >= 0xac00 && cp <= 0xd7a3)
+        return "LV"; // precomposed syllables
+    return null;
+}
+// Whether `cp` continues the cluster that ended with `previous`
+function continuesCluster(previous, cp, regionalIndicators) {
+    if (previous === 0x0d && cp === 0x0a)
+        return true; // CR LF
+    if (isExtend(cp) || cp === ZWJ)
+        return true;
+    if (previous === ZWJ)
+        return true; // emoji ZWJ sequences: 👩‍💻
+    if (isRegionalIndicator(previous) && isRegionalIndicator(cp)) {
+        // flags are pairs: 🇩🇪🇫🇷 is two flags, not one cluster of four
+        return regionalIndicators % 2 === 1;
+    }
+    const a = jamo(previous);
+    const b = jamo(cp);
+    if (a === "L")
+        return b !== null && b !== "T";
+    if (a === "V" || a === "LV")
+        return b === "V" || b === "T";
+    if (a === "T")
+        return b === "T";
+    return false;
+}
+export function graphemes(s) {
+    const clusters = [];
+    let previous = -1;
+    let regionalIndicators = 0;
+    // for..of walks code points, so surrogate pairs already stay together
+    for (const char of s) {
+        const cp = char.codePointAt(0);
+        if (previous !== -1 && continuesCluster(previous, cp, regionalIndicators)) {
+            clusters[clusters.length - 1] += char;
+        }
+        else {
+            clusters.push(char);
+            regionalIndicators = 0;
+        }
+        if (isRegionalIndicator(cp))
+            regionalIndicators++;
+        previous = cp;
+    }
+    return clusters;
+}
+export function length(s) {
+    return graphemes(s).length;
+}
+export function reverse(s) {
+    return graphemes(s).reverse().join("");
+}
+// At most `maxLength` graphemes, the ellipsis included
+export function truncate(s, maxLength, ellipsis = "…") {
+    const clusters = graphemes(s);
+    if (clusters.length <= maxLength)
+        return s;
+    const room = maxLength - length(ellipsis);
+    if (room < 0) {
+        throw new RangeError(`maxLength ${maxLength} leaves no room for '${ellipsis}'.`);
+    }
+    return clusters.slice(0, room).join("") + ellipsis;
+}
+// ===================
+// Display width
+// ===================
+// East Asian Wide and Fullwidth blocks and the emoji blocks, as [first, last] ranges
+const WIDE_RANGES = [
+    [0x1100, 0x115f],
+    [0x2e80, 0x303e],
+    [0x3041, 0x33ff],
+    [0x3400, 0x4dbf],
+    [0x4e00, 0x9fff],
+    [0xa000, 0xa4cf],
+    [0xac00, 0xd7a3],
+    [0xf900, 0xfaff],
+    [0xfe30, 0xfe4f],
+    [0xff00, 0xff60],
+    [0xffe0, 0xffe6],
+    [0x1f1e6, 0x1f1ff],
+    [0x1f300, 0x1f64f],
+    [0x1f680, 0x1f6ff],
+    [0x1f900, 0x1f9ff],
+    [0x20000, 0x3fffd], // CJK Unified Ideographs Extension B and later
+];
+function isWide(cp) {
+    return WIDE_RANGES.some(([first, last]) => cp >= first && cp <= last);
+}
+// Columns a grapheme takes in a monospaced terminal: 0 for control characters, 2 for
+// wide characters and emoji (also text symbols made emoji by U+FE0F, like ❤️), else 1
+function graphemeWidth(cluster) {
+    const cp = cluster.codePointAt(0);
+    if (cp < 0x20 || (cp >= 0x7f && cp < 0xa0))
+        return 0;
+    if (isWide(cp) || cluster.indexOf("\ufe0f") !== -1)
+        return 2;
+    return 1;
+}
+export function displayWidth(s) {
+    return graphemes(s).reduce((width, g) => width + graphemeWidth(g), 0);
+}
+// ===================
+// Padding
+// ===================
+// As padLeft2 documents it: a number is that many spaces, a string is used as is
+function paddingString(padding) {
+    if (typeof padding === "number") {
+        if (!(Number.isInteger(padding) && padding >= 0)) {
+            throw new RangeError(`Expected a count of spaces, got ${padding}.`);
+        }
+        return Array(padding + 1).join(" ");
+    }
+    if (typeof padding === "string")
+        return padding;
+    throw new Error(`Expected string or number, got '${padding}'.`);
+}
+export function padLeft(value, padding) {
+    return paddingString(padding) + value;
+}
+export function padRight(value, padding) {
+    return value + paddingString(padding);
+}
+// A number of spaces is split between both sides, the extra one going right; a string
+// goes on both sides
+export function center(value, padding) {
+    if (typeof padding === "number") {
+        const left = Math.floor(padding / 2);
+        return padRight(padLeft(value, left), padding - left);
+    }
+    return padRight(padLeft(value, padding), padding);
+}
+// Pads `value` with `fill` until it is `width` columns wide. Values that are already
+// wider are returned unchanged; use truncateToWidth to cut them.
+export function padToWidth(value, width, align = "left", fill = " ") {
+    if (displayWidth(fill) !== 1) {
+        throw new RangeError("fill must be a single column wide.");
+    }
+    const missing = Math.max(width - displayWidth(value), 0);
+    const fillOf = (columns) => Array(columns + 1).join(fill);
+    switch (align) {
+        case "left":
+            return value + fillOf(missing);
+        case "right":
+            return fillOf(missing) + value;
+        case "center": {
+            const left = Math.floor(missing / 2);
+            return fillOf(left) + value + fillOf(missing - left);
+        }
+    }
+}
+// At most `width` columns, the ellipsis included. A wide character that would only
+// half fit is dropped, so the result can be one column short.
+export function truncateToWidth(s, width, ellipsis = "…") {
+    if (displayWidth(s) <= width)
+        return s;
+    const room = width - displayWidth(ellipsis);
+    if (room < 0) {
+        throw new RangeError(`width ${width} leaves no room for '${ellipsis}'.`);
+    }
+    let result = "";
+    let used = 0;
+    for (const g of graphemes(s)) {
+        const w = graphemeWidth(g);
+        if (used + w > room)
+            break;
+        result += g;
+        used += w;
+    }
+    return result + ellipsis;
+}
+// reverse("👍🏽 café"); // "éfac 👍🏽", with the accent still on the e
+// length("🇩🇪🇫🇷"); // 2
+// padLeft("Hello world", 4); // "    Hello world"
+// padLeft("Hello world", ">> "); // ">> Hello world"
+// ["名前", "name"].map((s) => padToWidth(s, 6) + "|"); // ["名前  |", "name  |"]
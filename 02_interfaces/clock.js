@@ -0,0 +1,144 @@
+// ****** Clock ******
+import { createClock } from "./create_clock";
+export const systemTime = {
+    now: () => Date.now(),
+};
+export class FakeTimeSource {
+    constructor(time = 0) {
+        this.time = time;
+    }
+    now() {
+        return this.time;
+    }
+    advance(ms) {
+        if (ms < 0)
+            throw new RangeError("A time source cannot go backwards.");
+        this.time += ms;
+    }
+}
+function assertTimeOfDay(hour, minute) {
+    if (!Number.isInteger(hour) ||
+        !Number.isInteger(minute) ||
+        hour < 0 ||
+        hour > 23 ||
+        minute < 0 ||
+        minute > 59) {
+        throw new RangeError(`Invalid time ${hour}:${minute}.`);
+    }
+}
+// The first time at `minuteOfDay` that is later than `after`
+function nextOccurrence(minuteOfDay, after) {
+    const next = new Date(after.getTime());
+    next.setHours(Math.floor(minuteOfDay / 60), minuteOfDay % 60, 0, 0);
+    if (next <= after)
+        next.setDate(next.getDate() + 1);
+    return next;
+}
+// ====================
+// Clocks
+// ====================
+// The time shown is the time the clock was started (or set) with plus the time that
+// passed on the source since then. Nothing happens between ticks: currentTime, the
+// display and the alarms only move forward when tick() is called.
+export class BaseClock {
+    constructor(hour, minute, source = systemTime) {
+        this.source = source;
+        this.alarms = [];
+        assertTimeOfDay(hour, minute);
+        const start = new Date(source.now());
+        start.setHours(hour, minute, 0, 0);
+        this.setTime(start);
+    }
+    get hour() {
+        return this.currentTime.getHours();
+    }
+    get minute() {
+        return this.currentTime.getMinutes();
+    }
+    get second() {
+        return this.currentTime.getSeconds();
+    }
+    // Moves the clock to the time source's "now" and fires every alarm that was passed
+    // on the way. An alarm fires at most once per tick, even when days passed.
+    tick() {
+        const previous = this.currentTime;
+        this.currentTime = new Date(this.anchor.getTime() + (this.source.now() - this.anchorTime));
+        const due = this.alarms.filter((alarm) => nextOccurrence(alarm.minuteOfDay, previous) <= this.currentTime);
+        this.alarms = this.alarms.filter((alarm) => alarm.repeat || due.indexOf(alarm) === -1);
+        for (const alarm of due)
+            alarm.callback(this);
+    }
+    setTime(d, callback, options = {}) {
+        if (isNaN(d.getTime()))
+            throw new RangeError("Invalid date.");
+        if (callback)
+            return this.addAlarm(d, callback, !!options.repeat);
+        this.anchor = new Date(d.getTime());
+        this.anchorTime = this.source.now();
+        this.currentTime = new Date(d.getTime());
+    }
+    addAlarm(d, callback, repeat) {
+        const alarm = {
+            minuteOfDay: d.getHours() * 60 + d.getMinutes(),
+            callback,
+            repeat,
+        };
+        this.alarms.push(alarm);
+        return () => {
+            this.alarms = this.alarms.filter((a) => a !== alarm);
+        };
+    }
+}
+function pad(value) {
+    return value < 10 ? `0${value}` : String(value);
+}
+export class DigitalClock extends BaseClock {
+    constructor() {
+        super(...arguments);
+        this.format = "24h";
+    }
+    // "14:05" or "2:05 PM"
+    display(format = this.format) {
+        const { hour, minute } = this;
+        if (format === "24h")
+            return `${pad(hour)}:${pad(minute)}`;
+        const suffix = hour < 12 ? "AM" : "PM";
+        return `${hour % 12 === 0 ? 12 : hour % 12}:${pad(minute)} ${suffix}`;
+    }
+}
+export class AnalogClock extends BaseClock {
+    // The hands sweep: at 7:30 the hour hand is halfway between 7 and 8
+    hands() {
+        const { hour, minute, second } = this;
+        return {
+            hour: (hour % 12) * 30 + minute / 2 + second / 120,
+            minute: minute * 6 + second / 10,
+            second: second * 6,
+        };
+    }
+    display() {
+        const { hour, minute, second } = this.hands();
+        return `hour hand ${hour}°, minute hand ${minute}°, second hand ${second}°`;
+    }
+}
+// A ClockConstructor (the two-argument signature createClock expects) whose clocks all
+// read the given time source
+export function withTimeSource(ctor, source) {
+    return class extends ctor {
+        constructor(hour, minute) {
+            super(hour, minute, source);
+        }
+    };
+}
+// createClock with a time source
+export function createTimedClock(ctor, hour, minute, source = systemTime) {
+    const timed = withTimeSource(ctor, source);
+    return createClock(timed, hour, minute);
+}
+// const time = new FakeTimeSource();
+// const clock = createTimedClock(DigitalClock, 6, 59, time);
+// clock.setTime(new Date(2021, 0, 1, 7, 0), () => console.log("wake up"));
+// time.advance(60 * 1000);
+// clock.tick(); // "wake up"
+// clock.display("12h"); // "7:00 AM"
+// createTimedClock(AnalogClock, 7, 30, time).hands(); // { hour: 225, minute: 180, second: 0 }
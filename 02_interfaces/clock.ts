@@ -0,0 +1,254 @@
+// ****** Clock ******
+
+// DigitalClock and AnalogClock in interfaces.ts take an hour and a minute, ignore both
+// and only log from tick(). The clocks below keep the time they were started with and
+// move it forward on every tick() by however much time passed on their TimeSource.
+// The system time source is the default; a FakeTimeSource only moves when told to, so
+// tests decide exactly what time it is. Both clocks still satisfy ClockConstructor, so
+// createClock(DigitalClock, 12, 17) works as before.
+
+import type {
+  ClockConstructor,
+  ClockInterface,
+  ClockInterface2,
+} from "./interfaces";
+import { createClock } from "./create_clock";
+
+// ====================
+// Time sources
+// ====================
+
+export interface TimeSource {
+  now(): number; // milliseconds, like Date.now()
+}
+
+export const systemTime: TimeSource = {
+  now: () => Date.now(),
+};
+
+export class FakeTimeSource implements TimeSource {
+  constructor(private time: number = 0) {}
+
+  now(): number {
+    return this.time;
+  }
+
+  advance(ms: number): void {
+    if (ms < 0) throw new RangeError("A time source cannot go backwards.");
+    this.time += ms;
+  }
+}
+
+// ====================
+// Alarms
+// ====================
+
+export interface AlarmOptions {
+  // Fire every day instead of only the first time
+  repeat?: boolean;
+}
+
+export type AlarmCallback = (clock: BaseClock) => void;
+
+interface Alarm {
+  minuteOfDay: number;
+  callback: AlarmCallback;
+  repeat: boolean;
+}
+
+function assertTimeOfDay(hour: number, minute: number): void {
+  if (
+    !Number.isInteger(hour) ||
+    !Number.isInteger(minute) ||
+    hour < 0 ||
+    hour > 23 ||
+    minute < 0 ||
+    minute > 59
+  ) {
+    throw new RangeError(`Invalid time ${hour}:${minute}.`);
+  }
+}
+
+// The first time at `minuteOfDay` that is later than `after`
+function nextOccurrence(minuteOfDay: number, after: Date): Date {
+  const next = new Date(after.getTime());
+  next.setHours(Math.floor(minuteOfDay / 60), minuteOfDay % 60, 0, 0);
+  if (next <= after) next.setDate(next.getDate() + 1);
+  return next;
+}
+
+// ====================
+// Clocks
+// ====================
+
+// The time shown is the time the clock was started (or set) with plus the time that
+// passed on the source since then. Nothing happens between ticks: currentTime, the
+// display and the alarms only move forward when tick() is called.
+export abstract class BaseClock implements ClockInterface, ClockInterface2 {
+  currentTime!: Date;
+
+  // Wall-clock time at `anchorTime` on the source
+  private anchor!: Date;
+  private anchorTime!: number;
+  private alarms: Alarm[] = [];
+
+  constructor(
+    hour: number,
+    minute: number,
+    private source: TimeSource = systemTime
+  ) {
+    assertTimeOfDay(hour, minute);
+    const start = new Date(source.now());
+    start.setHours(hour, minute, 0, 0);
+    this.setTime(start);
+  }
+
+  get hour(): number {
+    return this.currentTime.getHours();
+  }
+
+  get minute(): number {
+    return this.currentTime.getMinutes();
+  }
+
+  get second(): number {
+    return this.currentTime.getSeconds();
+  }
+
+  // Moves the clock to the time source's "now" and fires every alarm that was passed
+  // on the way. An alarm fires at most once per tick, even when days passed.
+  tick(): void {
+    const previous = this.currentTime;
+    this.currentTime = new Date(
+      this.anchor.getTime() + (this.source.now() - this.anchorTime)
+    );
+
+    const due = this.alarms.filter(
+      (alarm) => nextOccurrence(alarm.minuteOfDay, previous) <= this.currentTime
+    );
+    this.alarms = this.alarms.filter(
+      (alarm) => alarm.repeat || due.indexOf(alarm) === -1
+    );
+    for (const alarm of due) alarm.callback(this);
+  }
+
+  // Sets the clock like turning its hands: the time jumps to `d` without firing the
+  // alarms in between. With a callback it leaves the time alone and sets an alarm for
+  // the time of day of `d` instead, returning a function that cancels the alarm.
+  setTime(d: Date): void;
+  setTime(d: Date, alarm: AlarmCallback, options?: AlarmOptions): () => void;
+  setTime(
+    d: Date,
+    callback?: AlarmCallback,
+    options: AlarmOptions = {}
+  ): void | (() => void) {
+    if (isNaN(d.getTime())) throw new RangeError("Invalid date.");
+    if (callback) return this.addAlarm(d, callback, !!options.repeat);
+    this.anchor = new Date(d.getTime());
+    this.anchorTime = this.source.now();
+    this.currentTime = new Date(d.getTime());
+  }
+
+  private addAlarm(
+    d: Date,
+    callback: AlarmCallback,
+    repeat: boolean
+  ): () => void {
+    const alarm: Alarm = {
+      minuteOfDay: d.getHours() * 60 + d.getMinutes(),
+      callback,
+      repeat,
+    };
+    this.alarms.push(alarm);
+    return () => {
+      this.alarms = this.alarms.filter((a) => a !== alarm);
+    };
+  }
+
+  abstract display(): string;
+}
+
+function pad(value: number): string {
+  return value < 10 ? `0${value}` : String(value);
+}
+
+export type HourFormat = "12h" | "24h";
+
+export class DigitalClock extends BaseClock {
+  format: HourFormat = "24h";
+
+  // "14:05" or "2:05 PM"
+  display(format: HourFormat = this.format): string {
+    const { hour, minute } = this;
+    if (format === "24h") return `${pad(hour)}:${pad(minute)}`;
+    const suffix = hour < 12 ? "AM" : "PM";
+    return `${hour % 12 === 0 ? 12 : hour % 12}:${pad(minute)} ${suffix}`;
+  }
+}
+
+// Angles in degrees, clockwise from 12 o'clock
+export interface HandAngles {
+  hour: number;
+  minute: number;
+  second: number;
+}
+
+export class AnalogClock extends BaseClock {
+  // The hands sweep: at 7:30 the hour hand is halfway between 7 and 8
+  hands(): HandAngles {
+    const { hour, minute, second } = this;
+    return {
+      hour: (hour % 12) * 30 + minute / 2 + second / 120,
+      minute: minute * 6 + second / 10,
+      second: second * 6,
+    };
+  }
+
+  display(): string {
+    const { hour, minute, second } = this.hands();
+    return `hour hand ${hour}°, minute hand ${minute}°, second hand ${second}°`;
+  }
+}
+
+// ====================
+// Factories
+// ====================
+
+// Any clock class whose constructor takes a time source after hour and minute
+export type TimedClockConstructor = new (
+  hour: number,
+  minute: number,
+  source?: TimeSource
+) => ClockInterface;
+
+// A ClockConstructor (the two-argument signature createClock expects) whose clocks all
+// read the given time source
+export function withTimeSource(
+  ctor: TimedClockConstructor,
+  source: TimeSource
+): ClockConstructor {
+  return class extends ctor {
+    constructor(hour: number, minute: number) {
+      super(hour, minute, source);
+    }
+  };
+}
+
+// createClock with a time source
+export function createTimedClock<C extends TimedClockConstructor>(
+  ctor: C,
+  hour: number,
+  minute: number,
+  source: TimeSource = systemTime
+): InstanceType<C> {
+  const timed = withTimeSource(ctor, source);
+  return createClock(timed, hour, minute) as InstanceType<C>;
+}
+
+// const time = new FakeTimeSource();
+// const clock = createTimedClock(DigitalClock, 6, 59, time);
+// clock.setTime(new Date(2021, 0, 1, 7, 0), () => console.log("wake up"));
+// time.advance(60 * 1000);
+// clock.tick(); // "wake up"
+// clock.display("12h"); // "7:00 AM"
+// createTimedClock(AnalogClock, 7, 30, time).hands(); // { hour: 225, minute: 180, second: 0 }
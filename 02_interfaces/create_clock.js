@@ -0,0 +1,4 @@
+// ****** Create Clock ******
+export function createClock(ctor, hour, minute) {
+    return new ctor(hour, minute);
+}
@@ -0,0 +1,14 @@
+// ****** Create Clock ******
+
+// createClock, the ClockConstructor factory from interfaces.ts. The chapter's
+// DigitalClock and AnalogClock and the timed clocks of clock.ts are all built with it.
+
+import type { ClockConstructor, ClockInterface } from "./interfaces";
+
+export function createClock(
+  ctor: ClockConstructor,
+  hour: number,
+  minute: number
+): ClockInterface {
+  return new ctor(hour, minute);
+}
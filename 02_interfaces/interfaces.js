@@ -1,4 +1,5 @@
 // ****** Interfaces ******
+import { createClock } from "./create_clock";
 // ====================
 // Introduction
 // ====================
@@ -59,9 +60,10 @@ class Clock2 {
         this.currentTime = d;
     }
 }
-function createClock(ctor, hour, minute) {
-    return new ctor(hour, minute);
-}
+// createClock is imported from create_clock.ts. It reads:
+// function createClock(ctor: ClockConstructor, hour: number, minute: number): ClockInterface {
+//   return new ctor(hour, minute);
+// }
 class DigitalClock {
     constructor(h, m) { }
     tick() {
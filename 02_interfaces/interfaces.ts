@@ -1,5 +1,7 @@
 // ****** Interfaces ******
 
+import { createClock } from "./create_clock";
+
 // ====================
 // Introduction
 // ====================
@@ -188,7 +190,7 @@ class Clock1 implements ClockInterface1 {
 }
 
 // You can also describe methods in an interface that are implemented in the class,
-interface ClockInterface2 {
+export interface ClockInterface2 {
   currentTime: Date;
   setTime(d: Date): void;
 }
@@ -234,21 +236,18 @@ interface ClockConstructor1 {
 // for the instance methods. Then, for convenience, we define a constructor function createClock
 // that creates instances of the type that is passed to it:
 
-interface ClockConstructor {
+export interface ClockConstructor {
   new (hour: number, minute: number): ClockInterface;
 }
 
-interface ClockInterface {
+export interface ClockInterface {
   tick(): void;
 }
 
-function createClock(
-  ctor: ClockConstructor,
-  hour: number,
-  minute: number
-): ClockInterface {
-  return new ctor(hour, minute);
-}
+// createClock is imported from create_clock.ts. It reads:
+// function createClock(ctor: ClockConstructor, hour: number, minute: number): ClockInterface {
+//   return new ctor(hour, minute);
+// }
 
 class DigitalClock implements ClockInterface {
   constructor(h: number, m: number) {}
@@ -271,11 +270,11 @@ let analog = createClock(AnalogClock, 7, 32);
 // createClock(AnalogClock, 7, 32), it checks that AnalogClock has the correct constructor signature.
 
 // Another simple way is to use class expressions:
-interface ClockConstructor {
+export interface ClockConstructor {
   new (hour: number, minute: number): ClockInterface;
 }
 
-interface ClockInterface {
+export interface ClockInterface {
   tick(): void;
 }
 
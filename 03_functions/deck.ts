@@ -0,0 +1,178 @@
+// ****** Deck ******
+
+// The deck1/deck2/deck3 objects in functions.ts pick cards with Math.random() from an
+// uninitialised Array(52), so the same card can come up twice and a sequence of picks
+// can never be reproduced. The Deck class below keeps real 52-card state, draws without
+// replacement and shuffles with a random source that can be injected (and seeded).
+
+import type { Card, Deck as DeckShape } from "./functions";
+
+// ==============================
+// Random sources
+// ==============================
+
+// A random source has the same contract as Math.random: a float in [0, 1)
+export type RandomSource = () => number;
+
+// mulberry32 - a tiny 32-bit PRNG. The same seed always produces the same sequence,
+// which is what lets games and tests replay the exact same draws.
+export function createSeededRandom(seed: number): RandomSource {
+  let state = seed >>> 0;
+
+  return function () {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// ==============================
+// Cards
+// ==============================
+
+export const SUITS = ["hearts", "spades", "clubs", "diamonds"];
+export const CARDS_PER_SUIT = 13;
+export const DECK_SIZE = SUITS.length * CARDS_PER_SUIT;
+
+// Same mapping the card pickers in functions.ts use: 0-12 are hearts, 13-25 spades, ...
+export function cardFromIndex(index: number): Card {
+  if (!Number.isInteger(index) || index < 0 || index >= DECK_SIZE) {
+    throw new RangeError(
+      `Card index must be an integer in [0, ${DECK_SIZE}), got '${index}'.`
+    );
+  }
+  return {
+    suit: SUITS[Math.floor(index / CARDS_PER_SUIT)],
+    card: index % CARDS_PER_SUIT,
+  };
+}
+
+export function indexFromCard(card: Card): number {
+  const suitIndex = SUITS.indexOf(card.suit);
+  if (
+    suitIndex === -1 ||
+    !Number.isInteger(card.card) ||
+    card.card < 0 ||
+    card.card >= CARDS_PER_SUIT
+  ) {
+    throw new RangeError(`Unknown card '${card.card} of ${card.suit}'.`);
+  }
+  return suitIndex * CARDS_PER_SUIT + card.card;
+}
+
+// Fisher–Yates shuffle, in place. Every permutation is equally likely as long as
+// the random source is uniform.
+export function shuffleInPlace<T>(
+  items: T[],
+  random: RandomSource = Math.random
+): T[] {
+  for (let i = items.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    const tmp = items[i];
+    items[i] = items[j];
+    items[j] = tmp;
+  }
+  return items;
+}
+
+// ==============================
+// Deck
+// ==============================
+
+// The class still satisfies the Deck interface from functions.ts: `cards` holds the
+// indexes of the cards left in the draw pile (the top of the pile is the end of the
+// array) and createCardPicker returns an arrow function, so `this` is captured correctly.
+export class Deck implements DeckShape {
+  suits: string[] = SUITS.slice();
+  cards: number[] = [];
+  discardPile: number[] = [];
+
+  // cards that have been drawn but not discarded yet
+  private dealt = new Set<number>();
+
+  constructor(private random: RandomSource = Math.random) {
+    this.reset();
+  }
+
+  get remaining(): number {
+    return this.cards.length;
+  }
+
+  get dealtCount(): number {
+    return this.dealt.size;
+  }
+
+  // Puts all 52 cards back in the draw pile (in order) and empties the discard pile
+  reset(): this {
+    this.cards = [];
+    for (let i = DECK_SIZE - 1; i >= 0; i--) this.cards.push(i);
+    this.discardPile = [];
+    this.dealt.clear();
+    return this;
+  }
+
+  shuffle(): this {
+    shuffleInPlace(this.cards, this.random);
+    return this;
+  }
+
+  draw(): Card {
+    if (this.cards.length === 0) {
+      throw new Error(
+        "Cannot draw from an empty deck, reshuffle the discard pile first."
+      );
+    }
+    const index = this.cards.pop() as number;
+    this.dealt.add(index);
+    return cardFromIndex(index);
+  }
+
+  drawMany(count: number): Card[] {
+    if (count > this.cards.length) {
+      throw new Error(
+        `Cannot draw ${count} cards, only ${this.cards.length} left in the deck.`
+      );
+    }
+    const hand: Card[] = [];
+    for (let i = 0; i < count; i++) hand.push(this.draw());
+    return hand;
+  }
+
+  // Only cards that were drawn from this deck can be discarded, and only once
+  discard(...cards: Card[]): this {
+    const indexes = cards.map(indexFromCard);
+    indexes.forEach((index, i) => {
+      const { suit, card } = cardFromIndex(index);
+      if (!this.dealt.has(index)) {
+        throw new Error(
+          `Cannot discard '${card} of ${suit}', it has not been drawn.`
+        );
+      }
+      if (indexes.indexOf(index) !== i) {
+        throw new Error(`Cannot discard '${card} of ${suit}' twice.`);
+      }
+    });
+    for (const index of indexes) {
+      this.dealt.delete(index);
+      this.discardPile.push(index);
+    }
+    return this;
+  }
+
+  // Moves the discard pile under the draw pile and shuffles the whole draw pile
+  reshuffle(): this {
+    this.cards = this.discardPile.concat(this.cards);
+    this.discardPile = [];
+    return this.shuffle();
+  }
+
+  createCardPicker(): () => Card {
+    return () => this.draw();
+  }
+}
+
+// let deck = new Deck(createSeededRandom(42)).shuffle();
+// let cardPicker = deck.createCardPicker();
+// let pickedCard = cardPicker(); // always the same card for seed 42
@@ -0,0 +1,170 @@
+// ****** Event Emitter ******
+// ==============================
+// EventEmitter
+// ==============================
+export class EventEmitter {
+    constructor() {
+        this.registrations = new Map();
+    }
+    on(event, listener) {
+        return this.register(event, listener, false);
+    }
+    // Removed before it is called, so emitting from inside it doesn't call it again
+    once(event, listener) {
+        return this.register(event, listener, true);
+    }
+    off(target, listener) {
+        if (isHandle(target)) {
+            return this.removeWhere(target.event, (r) => r.handle === target);
+        }
+        return this.removeWhere(target, (r) => r.listener === listener);
+    }
+    // Calls the listeners in the order they were added. A throwing listener doesn't keep
+    // the others from running; the first error is rethrown once all of them ran.
+    // Returns whether there was any listener.
+    emit(event, payload) {
+        // listeners added or removed while emitting take effect on the next emit
+        const registrations = (this.registrations.get(event) || []).slice();
+        let failed = false;
+        let error;
+        for (const registration of registrations) {
+            if (!registration.active)
+                continue;
+            if (registration.once)
+                registration.handle.remove();
+            try {
+                registration.listener(payload);
+            }
+            catch (e) {
+                if (!failed) {
+                    failed = true;
+                    error = e;
+                }
+            }
+        }
+        if (failed)
+            throw error;
+        return registrations.length > 0;
+    }
+    listenerCount(event) {
+        if (event !== undefined) {
+            return (this.registrations.get(event) || []).length;
+        }
+        let count = 0;
+        this.registrations.forEach((list) => (count += list.length));
+        return count;
+    }
+    removeAllListeners(event) {
+        const events = event !== undefined ? [event] : Array.from(this.registrations.keys());
+        for (const name of events)
+            this.removeWhere(name, () => true);
+    }
+    register(event, listener, once) {
+        if (typeof listener !== "function") {
+            throw new TypeError("Listener must be a function.");
+        }
+        const registration = { listener, once, active: true };
+        registration.handle = {
+            event,
+            get active() {
+                return registration.active;
+            },
+            remove: () => {
+                this.off(registration.handle);
+            },
+        };
+        const list = this.registrations.get(event) || [];
+        list.push(registration);
+        this.registrations.set(event, list);
+        return registration.handle;
+    }
+    removeWhere(event, matches) {
+        const list = this.registrations.get(event) || [];
+        const kept = [];
+        for (const registration of list) {
+            if (matches(registration))
+                registration.active = false;
+            else
+                kept.push(registration);
+        }
+        if (kept.length > 0)
+            this.registrations.set(event, kept);
+        else
+            this.registrations.delete(event);
+        return kept.length !== list.length;
+    }
+}
+function isHandle(value) {
+    return (typeof value === "object" &&
+        value !== null &&
+        typeof value.remove === "function");
+}
+// A single method of `instance` bound to it, safe to pass as a this: void callback
+export function bound(instance, method) {
+    const fn = instance[method];
+    if (typeof fn !== "function") {
+        throw new TypeError(`${String(method)} is not a method.`);
+    }
+    return fn.bind(instance);
+}
+// Binds the given methods (or every method on the prototype chain when no names are
+// passed) as own properties of `instance`, the Handler3 arrow-function pattern without
+// writing the methods as arrow functions. Call it at the end of the constructor.
+export function bindMethods(instance, ...methods) {
+    const names = methods.length > 0 ? methods : prototypeMethods(instance);
+    for (const name of names) {
+        instance[name] = bound(instance, name);
+    }
+    return instance;
+}
+function prototypeMethods(instance) {
+    const names = [];
+    let proto = Object.getPrototypeOf(instance);
+    while (proto && proto !== Object.prototype) {
+        for (const name of Object.getOwnPropertyNames(proto)) {
+            const descriptor = Object.getOwnPropertyDescriptor(proto, name);
+            if (name !== "constructor" &&
+                typeof descriptor.value === "function" &&
+                names.indexOf(name) === -1) {
+                names.push(name);
+            }
+        }
+        proto = Object.getPrototypeOf(proto);
+    }
+    return names;
+}
+// The UIElement from functions.ts, backed by an EventEmitter
+export class ClickTarget {
+    constructor() {
+        this.events = new EventEmitter();
+    }
+    addClickListener(onclick) {
+        return this.events.on("click", onclick);
+    }
+    removeClickListener(onclick) {
+        return this.events.off("click", onclick);
+    }
+    click(e = createEvent("click")) {
+        this.events.emit("click", e);
+    }
+}
+// new Event() where the DOM has it, a plain object with a type (as in Node) otherwise
+function createEvent(type) {
+    return typeof Event === "function" ? new Event(type) : { type };
+}
+// class Handler {
+//   clicks = 0;
+//   constructor() {
+//     bindMethods(this);
+//   }
+//   onClick(e: Event) {
+//     this.clicks++; // `this` is the Handler, wherever onClick is called from
+//   }
+// }
+//
+// const button = new ClickTarget();
+// const handler = new Handler();
+// const handle = button.addClickListener(handler.onClick);
+// button.click(); // handler.clicks === 1
+// handle.remove();
+// button.click(); // handler.clicks is still 1
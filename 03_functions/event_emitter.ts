@@ -0,0 +1,271 @@
+// ****** Event Emitter ******
+
+// functions.ts declares UIElement.addClickListener(onclick: (this: void, e: Event) => void)
+// but never implements it, so `uiElement` is undefined and the click handler example
+// throws. EventEmitter is the implementation behind it: listeners are typed per event
+// through an event map, registering returns a handle that removes exactly that
+// registration, and every listener is called with this: void. bindMethods and bound
+// make class methods safe to pass as such listeners, which is the this-callback bug the
+// Handler1/Handler2/Handler3 examples are about.
+
+import type { UIElement } from "./functions";
+
+// ==============================
+// Event maps and handles
+// ==============================
+
+// Event name -> payload type, e.g. { click: Event; close: void }
+export type EventMap = object;
+
+export type Listener<T> = (this: void, payload: T) => void;
+
+export interface ListenerHandle {
+  readonly event: PropertyKey;
+  // false once the listener was removed (by off, or after a once listener ran)
+  readonly active: boolean;
+  remove(): void;
+}
+
+interface Registration {
+  listener: Listener<any>;
+  once: boolean;
+  active: boolean;
+  handle: ListenerHandle;
+}
+
+// ==============================
+// EventEmitter
+// ==============================
+
+export class EventEmitter<Events extends EventMap> {
+  private registrations = new Map<keyof Events, Registration[]>();
+
+  on<K extends keyof Events>(
+    event: K,
+    listener: Listener<Events[K]>
+  ): ListenerHandle {
+    return this.register(event, listener, false);
+  }
+
+  // Removed before it is called, so emitting from inside it doesn't call it again
+  once<K extends keyof Events>(
+    event: K,
+    listener: Listener<Events[K]>
+  ): ListenerHandle {
+    return this.register(event, listener, true);
+  }
+
+  // Removes one registration by its handle, or every registration of `listener` for
+  // `event`. Returns whether anything was removed.
+  off(handle: ListenerHandle): boolean;
+  off<K extends keyof Events>(event: K, listener: Listener<Events[K]>): boolean;
+  off(
+    target: ListenerHandle | keyof Events,
+    listener?: Listener<any>
+  ): boolean {
+    if (isHandle(target)) {
+      return this.removeWhere(
+        target.event as keyof Events,
+        (r) => r.handle === target
+      );
+    }
+    return this.removeWhere(target, (r) => r.listener === listener);
+  }
+
+  // Calls the listeners in the order they were added. A throwing listener doesn't keep
+  // the others from running; the first error is rethrown once all of them ran.
+  // Returns whether there was any listener.
+  emit<K extends keyof Events>(event: K, payload?: Events[K]): boolean {
+    // listeners added or removed while emitting take effect on the next emit
+    const registrations = (this.registrations.get(event) || []).slice();
+    let failed = false;
+    let error: unknown;
+
+    for (const registration of registrations) {
+      if (!registration.active) continue;
+      if (registration.once) registration.handle.remove();
+      try {
+        registration.listener(payload);
+      } catch (e) {
+        if (!failed) {
+          failed = true;
+          error = e;
+        }
+      }
+    }
+    if (failed) throw error;
+    return registrations.length > 0;
+  }
+
+  listenerCount(event?: keyof Events): number {
+    if (event !== undefined) {
+      return (this.registrations.get(event) || []).length;
+    }
+    let count = 0;
+    this.registrations.forEach((list) => (count += list.length));
+    return count;
+  }
+
+  removeAllListeners(event?: keyof Events): void {
+    const events =
+      event !== undefined ? [event] : Array.from(this.registrations.keys());
+    for (const name of events) this.removeWhere(name, () => true);
+  }
+
+  private register(
+    event: keyof Events,
+    listener: Listener<any>,
+    once: boolean
+  ): ListenerHandle {
+    if (typeof listener !== "function") {
+      throw new TypeError("Listener must be a function.");
+    }
+    const registration = { listener, once, active: true } as Registration;
+    registration.handle = {
+      event,
+      get active() {
+        return registration.active;
+      },
+      remove: () => {
+        this.off(registration.handle);
+      },
+    };
+
+    const list = this.registrations.get(event) || [];
+    list.push(registration);
+    this.registrations.set(event, list);
+    return registration.handle;
+  }
+
+  private removeWhere(
+    event: keyof Events,
+    matches: (registration: Registration) => boolean
+  ): boolean {
+    const list = this.registrations.get(event) || [];
+    const kept: Registration[] = [];
+    for (const registration of list) {
+      if (matches(registration)) registration.active = false;
+      else kept.push(registration);
+    }
+    if (kept.length > 0) this.registrations.set(event, kept);
+    else this.registrations.delete(event);
+    return kept.length !== list.length;
+  }
+}
+
+function isHandle(value: unknown): value is ListenerHandle {
+  return (
+    typeof value === "object" &&
+    value !== null &&
+    typeof (value as ListenerHandle).remove === "function"
+  );
+}
+
+// ==============================
+// Safe this-binding
+// ==============================
+
+// Method names of T, i.e. the keys whose value is a function
+export type MethodName<T> = {
+  [K in keyof T]: T[K] extends (...args: any[]) => any ? K : never;
+}[keyof T];
+
+// T with the given methods bound, their `this` parameter dropped
+export type Bound<T, K extends MethodName<T>> = T &
+  { [P in K]: OmitThisParameter<T[P]> };
+
+// A single method of `instance` bound to it, safe to pass as a this: void callback
+export function bound<T, K extends MethodName<T>>(
+  instance: T,
+  method: K
+): OmitThisParameter<T[K]> {
+  const fn: unknown = instance[method];
+  if (typeof fn !== "function") {
+    throw new TypeError(`${String(method)} is not a method.`);
+  }
+  return fn.bind(instance);
+}
+
+// Binds the given methods (or every method on the prototype chain when no names are
+// passed) as own properties of `instance`, the Handler3 arrow-function pattern without
+// writing the methods as arrow functions. Call it at the end of the constructor.
+export function bindMethods<T extends object, K extends MethodName<T>>(
+  instance: T,
+  ...methods: K[]
+): Bound<T, K> {
+  const names: PropertyKey[] =
+    methods.length > 0 ? methods : prototypeMethods(instance);
+  for (const name of names) {
+    (instance as any)[name] = bound(instance, name as K);
+  }
+  return instance as Bound<T, K>;
+}
+
+function prototypeMethods(instance: object): string[] {
+  const names: string[] = [];
+  let proto = Object.getPrototypeOf(instance);
+  while (proto && proto !== Object.prototype) {
+    for (const name of Object.getOwnPropertyNames(proto)) {
+      const descriptor = Object.getOwnPropertyDescriptor(
+        proto,
+        name
+      ) as PropertyDescriptor;
+      if (
+        name !== "constructor" &&
+        typeof descriptor.value === "function" &&
+        names.indexOf(name) === -1
+      ) {
+        names.push(name);
+      }
+    }
+    proto = Object.getPrototypeOf(proto);
+  }
+  return names;
+}
+
+// ==============================
+// UIElement
+// ==============================
+
+export interface ClickEvents {
+  click: Event;
+}
+
+// The UIElement from functions.ts, backed by an EventEmitter
+export class ClickTarget implements UIElement {
+  readonly events = new EventEmitter<ClickEvents>();
+
+  addClickListener(onclick: (this: void, e: Event) => void): ListenerHandle {
+    return this.events.on("click", onclick);
+  }
+
+  removeClickListener(onclick: (this: void, e: Event) => void): boolean {
+    return this.events.off("click", onclick);
+  }
+
+  click(e: Event = createEvent("click")): void {
+    this.events.emit("click", e);
+  }
+}
+
+// new Event() where the DOM has it, a plain object with a type (as in Node) otherwise
+function createEvent(type: string): Event {
+  return typeof Event === "function" ? new Event(type) : ({ type } as Event);
+}
+
+// class Handler {
+//   clicks = 0;
+//   constructor() {
+//     bindMethods(this);
+//   }
+//   onClick(e: Event) {
+//     this.clicks++; // `this` is the Handler, wherever onClick is called from
+//   }
+// }
+//
+// const button = new ClickTarget();
+// const handler = new Handler();
+// const handle = button.addClickListener(handler.onClick);
+// button.click(); // handler.clicks === 1
+// handle.remove();
+// button.click(); // handler.clicks is still 1
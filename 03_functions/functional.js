@@ -0,0 +1,197 @@
+// ****** Functional ******
+export function pipe(...stages) {
+    if (stages.length === 0) {
+        throw new TypeError("pipe needs at least one function.");
+    }
+    const [first, ...rest] = stages;
+    return function (...args) {
+        return rest.reduce((value, stage) => stage(value), first.apply(this, args));
+    };
+}
+export function compose(...stages) {
+    return pipe(...stages.reverse());
+}
+export function curry(fn, ...[arity = fn.length]) {
+    const collect = (collected) => function (...args) {
+        const all = collected.concat(args);
+        return all.length >= arity ? fn.apply(this, all) : collect(all);
+    };
+    return collect([]);
+}
+// Fixes the first arguments of fn: partial(buildName2, "James")("Hunt")
+export function partial(fn, ...first) {
+    return function (...rest) {
+        return fn.apply(this, [...first, ...rest]);
+    };
+}
+function defaultKey(...args) {
+    if (args.length === 1) {
+        const [arg] = args;
+        if (arg === null ||
+            (typeof arg !== "object" && typeof arg !== "function")) {
+            return arg;
+        }
+    }
+    return JSON.stringify(args);
+}
+export function memoize(fn, options = {}) {
+    const { key = defaultKey, maxSize = Infinity } = options;
+    if (!(maxSize >= 1))
+        throw new RangeError("maxSize must be at least 1.");
+    // a Map iterates in insertion order, so re-inserting on every hit keeps the least
+    // recently used entry first
+    const cache = new Map();
+    const memoized = function (...args) {
+        const k = key(...args);
+        if (cache.has(k)) {
+            const value = cache.get(k);
+            cache.delete(k);
+            cache.set(k, value);
+            return value;
+        }
+        const value = fn.apply(this, args);
+        cache.set(k, value);
+        if (cache.size > maxSize)
+            cache.delete(cache.keys().next().value);
+        return value;
+    };
+    Object.defineProperty(memoized, "size", { get: () => cache.size });
+    return Object.assign(memoized, { clear: () => cache.clear() });
+}
+// Calls fn the first time only; every later call returns the first result
+export function once(fn) {
+    let called = false;
+    let result;
+    return function (...args) {
+        if (!called) {
+            called = true;
+            result = fn.apply(this, args);
+        }
+        return result;
+    };
+}
+export const systemTimer = {
+    now: () => Date.now(),
+    setTimeout: (callback, ms) => setTimeout(callback, ms),
+    clearTimeout: (handle) => clearTimeout(handle),
+};
+// Time only moves when advance() is called
+export class FakeTimer {
+    constructor() {
+        this.time = 0;
+        this.nextId = 1;
+        this.timeouts = [];
+    }
+    now() {
+        return this.time;
+    }
+    setTimeout(callback, ms) {
+        const id = this.nextId++;
+        this.timeouts.push({ id, at: this.time + Math.max(ms, 0), callback });
+        return id;
+    }
+    clearTimeout(handle) {
+        this.timeouts = this.timeouts.filter((t) => t.id !== handle);
+    }
+    // Runs the due timeouts in order, each at the time it was due
+    advance(ms) {
+        const end = this.time + ms;
+        for (;;) {
+            const due = this.timeouts
+                .filter((t) => t.at <= end)
+                .sort((a, b) => a.at - b.at || a.id - b.id)[0];
+            if (!due)
+                break;
+            this.clearTimeout(due.id);
+            this.time = due.at;
+            due.callback();
+        }
+        this.time = end;
+    }
+}
+// The timing shared by debounce and throttle. `restartOnCall` is what tells them
+// apart: debounce pushes the end of the window back on every call, throttle doesn't.
+function rateLimit(fn, wait, options, restartOnCall) {
+    const { leading = false, trailing = true, timer = systemTimer } = options;
+    if (!(wait >= 0))
+        throw new RangeError("wait must be >= 0.");
+    let handle;
+    let inWindow = false;
+    let pendingArgs;
+    let pendingThis;
+    const invokePending = () => {
+        const args = pendingArgs;
+        pendingArgs = undefined;
+        fn.apply(pendingThis, args);
+    };
+    const endWindow = () => {
+        inWindow = false;
+        if (trailing && pendingArgs) {
+            invokePending();
+            // throttle keeps a window open after a trailing call, so calls right after it
+            // are still limited
+            if (!restartOnCall)
+                startWindow();
+        }
+    };
+    const startWindow = () => {
+        inWindow = true;
+        handle = timer.setTimeout(endWindow, wait);
+    };
+    const limited = function (...args) {
+        if (!inWindow) {
+            startWindow();
+            if (leading) {
+                fn.apply(this, args);
+                return;
+            }
+        }
+        else if (restartOnCall) {
+            timer.clearTimeout(handle);
+            startWindow();
+        }
+        pendingArgs = args;
+        pendingThis = this;
+    };
+    Object.defineProperty(limited, "pending", { get: () => !!pendingArgs });
+    return Object.assign(limited, {
+        cancel() {
+            timer.clearTimeout(handle);
+            inWindow = false;
+            pendingArgs = undefined;
+        },
+        flush() {
+            timer.clearTimeout(handle);
+            inWindow = false;
+            if (pendingArgs)
+                invokePending();
+        },
+    });
+}
+// Calls fn once the calls stopped for `wait` ms, with the latest arguments
+export function debounce(fn, wait, options = {}) {
+    return rateLimit(fn, wait, options, true);
+}
+// Calls fn at most once every `wait` ms: on the first call and then with the latest
+// arguments at the end of each window that had calls
+export function throttle(fn, wait, options = {}) {
+    return rateLimit(fn, wait, { leading: true, ...options }, false);
+}
+// const shout = pipe(
+//   (first: string, last: string) => `${first} ${last}`,
+//   (name) => name.toUpperCase(),
+//   (name) => `${name}!`
+// );
+// shout("James", "Bond"); // "JAMES BOND!"
+//
+// const greet = curry(
+//   (greeting: string, name: string, punctuation = "!") => `${greeting} ${name}${punctuation}`
+// );
+// greet("Hello")("James"); // "Hello James!"
+// greet("Hello")("James", "?"); // "Hello James?"
+//
+// const timer = new FakeTimer();
+// const save = debounce(() => console.log("saved"), 300, { timer });
+// save();
+// save();
+// timer.advance(300); // "saved", once
@@ -0,0 +1,485 @@
+// ****** Functional ******
+
+// functions.ts shows how function types are written (myFullType, incrementFunc) and how
+// optional, default and rest parameters behave (buildName1 - buildName3). The helpers
+// below build functions out of other functions and keep those types intact: pipe and
+// compose infer every stage, curry knows which parameters are required, and memoize,
+// debounce, throttle and once return something with the same signature as what they wrap.
+
+// ==============================
+// pipe and compose
+// ==============================
+
+// pipe(f, g, h)(x) is h(g(f(x))). The first stage may take any number of arguments,
+// every later stage takes the previous stage's result.
+export function pipe<A extends any[], B>(
+  ab: (...args: A) => B
+): (...args: A) => B;
+export function pipe<A extends any[], B, C>(
+  ab: (...args: A) => B,
+  bc: (b: B) => C
+): (...args: A) => C;
+export function pipe<A extends any[], B, C, D>(
+  ab: (...args: A) => B,
+  bc: (b: B) => C,
+  cd: (c: C) => D
+): (...args: A) => D;
+export function pipe<A extends any[], B, C, D, E>(
+  ab: (...args: A) => B,
+  bc: (b: B) => C,
+  cd: (c: C) => D,
+  de: (d: D) => E
+): (...args: A) => E;
+export function pipe<A extends any[], B, C, D, E, F>(
+  ab: (...args: A) => B,
+  bc: (b: B) => C,
+  cd: (c: C) => D,
+  de: (d: D) => E,
+  ef: (e: E) => F
+): (...args: A) => F;
+export function pipe<A extends any[], B, C, D, E, F, G>(
+  ab: (...args: A) => B,
+  bc: (b: B) => C,
+  cd: (c: C) => D,
+  de: (d: D) => E,
+  ef: (e: E) => F,
+  fg: (f: F) => G
+): (...args: A) => G;
+export function pipe<A extends any[], B, C, D, E, F, G, H>(
+  ab: (...args: A) => B,
+  bc: (b: B) => C,
+  cd: (c: C) => D,
+  de: (d: D) => E,
+  ef: (e: E) => F,
+  fg: (f: F) => G,
+  gh: (g: G) => H
+): (...args: A) => H;
+export function pipe<A extends any[], B, C, D, E, F, G, H, I>(
+  ab: (...args: A) => B,
+  bc: (b: B) => C,
+  cd: (c: C) => D,
+  de: (d: D) => E,
+  ef: (e: E) => F,
+  fg: (f: F) => G,
+  gh: (g: G) => H,
+  hi: (h: H) => I
+): (...args: A) => I;
+export function pipe<A extends any[], B, C, D, E, F, G, H, I, J>(
+  ab: (...args: A) => B,
+  bc: (b: B) => C,
+  cd: (c: C) => D,
+  de: (d: D) => E,
+  ef: (e: E) => F,
+  fg: (f: F) => G,
+  gh: (g: G) => H,
+  hi: (h: H) => I,
+  ij: (i: I) => J
+): (...args: A) => J;
+export function pipe<A extends any[], B, C, D, E, F, G, H, I, J, K>(
+  ab: (...args: A) => B,
+  bc: (b: B) => C,
+  cd: (c: C) => D,
+  de: (d: D) => E,
+  ef: (e: E) => F,
+  fg: (f: F) => G,
+  gh: (g: G) => H,
+  hi: (h: H) => I,
+  ij: (i: I) => J,
+  jk: (j: J) => K
+): (...args: A) => K;
+export function pipe(...stages: ((...args: any[]) => any)[]) {
+  if (stages.length === 0) {
+    throw new TypeError("pipe needs at least one function.");
+  }
+  const [first, ...rest] = stages;
+  return function (this: unknown, ...args: any[]) {
+    return rest.reduce((value, stage) => stage(value), first.apply(this, args));
+  };
+}
+
+// compose(h, g, f)(x) is h(g(f(x))), the same as pipe with the stages reversed
+export function compose<A extends any[], B>(
+  ab: (...args: A) => B
+): (...args: A) => B;
+export function compose<A extends any[], B, C>(
+  bc: (b: B) => C,
+  ab: (...args: A) => B
+): (...args: A) => C;
+export function compose<A extends any[], B, C, D>(
+  cd: (c: C) => D,
+  bc: (b: B) => C,
+  ab: (...args: A) => B
+): (...args: A) => D;
+export function compose<A extends any[], B, C, D, E>(
+  de: (d: D) => E,
+  cd: (c: C) => D,
+  bc: (b: B) => C,
+  ab: (...args: A) => B
+): (...args: A) => E;
+export function compose<A extends any[], B, C, D, E, F>(
+  ef: (e: E) => F,
+  de: (d: D) => E,
+  cd: (c: C) => D,
+  bc: (b: B) => C,
+  ab: (...args: A) => B
+): (...args: A) => F;
+export function compose<A extends any[], B, C, D, E, F, G>(
+  fg: (f: F) => G,
+  ef: (e: E) => F,
+  de: (d: D) => E,
+  cd: (c: C) => D,
+  bc: (b: B) => C,
+  ab: (...args: A) => B
+): (...args: A) => G;
+export function compose<A extends any[], B, C, D, E, F, G, H>(
+  gh: (g: G) => H,
+  fg: (f: F) => G,
+  ef: (e: E) => F,
+  de: (d: D) => E,
+  cd: (c: C) => D,
+  bc: (b: B) => C,
+  ab: (...args: A) => B
+): (...args: A) => H;
+export function compose<A extends any[], B, C, D, E, F, G, H, I>(
+  hi: (h: H) => I,
+  gh: (g: G) => H,
+  fg: (f: F) => G,
+  ef: (e: E) => F,
+  de: (d: D) => E,
+  cd: (c: C) => D,
+  bc: (b: B) => C,
+  ab: (...args: A) => B
+): (...args: A) => I;
+export function compose<A extends any[], B, C, D, E, F, G, H, I, J>(
+  ij: (i: I) => J,
+  hi: (h: H) => I,
+  gh: (g: G) => H,
+  fg: (f: F) => G,
+  ef: (e: E) => F,
+  de: (d: D) => E,
+  cd: (c: C) => D,
+  bc: (b: B) => C,
+  ab: (...args: A) => B
+): (...args: A) => J;
+export function compose<A extends any[], B, C, D, E, F, G, H, I, J, K>(
+  jk: (j: J) => K,
+  ij: (i: I) => J,
+  hi: (h: H) => I,
+  gh: (g: G) => H,
+  fg: (f: F) => G,
+  ef: (e: E) => F,
+  de: (d: D) => E,
+  cd: (c: C) => D,
+  bc: (b: B) => C,
+  ab: (...args: A) => B
+): (...args: A) => K;
+export function compose(...stages: ((...args: any[]) => any)[]) {
+  return (pipe as (...stages: ((...args: any[]) => any)[]) => any)(
+    ...stages.reverse()
+  );
+}
+
+// ==============================
+// curry and partial
+// ==============================
+
+// The leading parameters that are neither optional nor have a default value.
+// [string, string?] (buildName1) and [string, string | undefined?] (buildName2) both
+// give [string].
+export type RequiredParameters<P extends any[]> = P extends [
+  infer Head,
+  ...infer Tail
+]
+  ? [Head, ...RequiredParameters<Tail>]
+  : [];
+
+// One call per required parameter. The call that passes the last required parameter
+// may also pass the optional ones and returns the result.
+export type Curried<P extends any[], R> = P extends [infer Head, ...infer Tail]
+  ? RequiredParameters<Tail> extends []
+    ? (arg: Head, ...optional: Tail) => R
+    : (arg: Head) => Curried<Tail, R>
+  : (...args: P) => R;
+
+// The arity argument of curry, the number of required parameters. Left out it is
+// fn.length, which stops before the first parameter with a default value and so agrees
+// with Curried. A parameter only marked optional (lastName?: string) counts in
+// fn.length though, and the types can't tell it from one with a default: pass the
+// arity for those, curry(buildName1, 1).
+type Arity<P extends any[]> = number extends P["length"]
+  ? [arity?: number]
+  : [arity?: RequiredParameters<P>["length"]];
+
+export function curry<P extends any[], R>(
+  fn: (...args: P) => R,
+  ...[arity = fn.length]: Arity<P>
+): Curried<P, R> {
+  const collect = (collected: any[]) =>
+    function (this: unknown, ...args: any[]): any {
+      const all = collected.concat(args);
+      return all.length >= arity ? fn.apply(this, all as P) : collect(all);
+    };
+  return collect([]) as Curried<P, R>;
+}
+
+// Fixes the first arguments of fn: partial(buildName2, "James")("Hunt")
+export function partial<A extends any[], B extends any[], R>(
+  fn: (...args: [...A, ...B]) => R,
+  ...first: A
+): (...rest: B) => R {
+  return function (this: unknown, ...rest: B) {
+    return fn.apply(this, [...first, ...rest]);
+  };
+}
+
+// ==============================
+// memoize and once
+// ==============================
+
+export interface MemoizeOptions<P extends any[]> {
+  // Cache key for a call. Defaults to the argument itself for a single primitive
+  // argument and to JSON.stringify(args) otherwise.
+  key?: (...args: P) => unknown;
+  // Least recently used results are dropped once there are more than this many
+  maxSize?: number;
+}
+
+export type Memoized<P extends any[], R> = ((...args: P) => R) & {
+  readonly size: number;
+  clear(): void;
+};
+
+function defaultKey(...args: any[]): unknown {
+  if (args.length === 1) {
+    const [arg] = args;
+    if (
+      arg === null ||
+      (typeof arg !== "object" && typeof arg !== "function")
+    ) {
+      return arg;
+    }
+  }
+  return JSON.stringify(args);
+}
+
+export function memoize<P extends any[], R>(
+  fn: (...args: P) => R,
+  options: MemoizeOptions<P> = {}
+): Memoized<P, R> {
+  const { key = defaultKey, maxSize = Infinity } = options;
+  if (!(maxSize >= 1)) throw new RangeError("maxSize must be at least 1.");
+
+  // a Map iterates in insertion order, so re-inserting on every hit keeps the least
+  // recently used entry first
+  const cache = new Map<unknown, R>();
+
+  const memoized = function (this: unknown, ...args: P): R {
+    const k = key(...args);
+    if (cache.has(k)) {
+      const value = cache.get(k) as R;
+      cache.delete(k);
+      cache.set(k, value);
+      return value;
+    }
+    const value = fn.apply(this, args);
+    cache.set(k, value);
+    if (cache.size > maxSize) cache.delete(cache.keys().next().value);
+    return value;
+  };
+
+  Object.defineProperty(memoized, "size", { get: () => cache.size });
+  return Object.assign(memoized, { clear: () => cache.clear() }) as Memoized<
+    P,
+    R
+  >;
+}
+
+// Calls fn the first time only; every later call returns the first result
+export function once<P extends any[], R>(
+  fn: (...args: P) => R
+): (...args: P) => R {
+  let called = false;
+  let result: R;
+  return function (this: unknown, ...args: P): R {
+    if (!called) {
+      called = true;
+      result = fn.apply(this, args);
+    }
+    return result;
+  };
+}
+
+// ==============================
+// debounce and throttle
+// ==============================
+
+// The parts of the global timer functions debounce and throttle use, so tests can
+// replace them with a FakeTimer
+export interface Timer {
+  now(): number;
+  setTimeout(callback: () => void, ms: number): unknown;
+  clearTimeout(handle: unknown): void;
+}
+
+export const systemTimer: Timer = {
+  now: () => Date.now(),
+  setTimeout: (callback, ms) => setTimeout(callback, ms),
+  clearTimeout: (handle) => clearTimeout(handle as number),
+};
+
+// Time only moves when advance() is called
+export class FakeTimer implements Timer {
+  private time = 0;
+  private nextId = 1;
+  private timeouts: { id: number; at: number; callback: () => void }[] = [];
+
+  now(): number {
+    return this.time;
+  }
+
+  setTimeout(callback: () => void, ms: number): number {
+    const id = this.nextId++;
+    this.timeouts.push({ id, at: this.time + Math.max(ms, 0), callback });
+    return id;
+  }
+
+  clearTimeout(handle: unknown): void {
+    this.timeouts = this.timeouts.filter((t) => t.id !== handle);
+  }
+
+  // Runs the due timeouts in order, each at the time it was due
+  advance(ms: number): void {
+    const end = this.time + ms;
+    for (;;) {
+      const due = this.timeouts
+        .filter((t) => t.at <= end)
+        .sort((a, b) => a.at - b.at || a.id - b.id)[0];
+      if (!due) break;
+      this.clearTimeout(due.id);
+      this.time = due.at;
+      due.callback();
+    }
+    this.time = end;
+  }
+}
+
+export interface RateLimitOptions {
+  // Call on the first invocation of a burst
+  leading?: boolean;
+  // Call with the latest arguments once the burst is over
+  trailing?: boolean;
+  timer?: Timer;
+}
+
+export type RateLimited<P extends any[]> = ((...args: P) => void) & {
+  // Drops a pending trailing call
+  cancel(): void;
+  // Runs a pending trailing call now
+  flush(): void;
+  readonly pending: boolean;
+};
+
+// The timing shared by debounce and throttle. `restartOnCall` is what tells them
+// apart: debounce pushes the end of the window back on every call, throttle doesn't.
+function rateLimit<P extends any[]>(
+  fn: (...args: P) => void,
+  wait: number,
+  options: RateLimitOptions,
+  restartOnCall: boolean
+): RateLimited<P> {
+  const { leading = false, trailing = true, timer = systemTimer } = options;
+  if (!(wait >= 0)) throw new RangeError("wait must be >= 0.");
+
+  let handle: unknown;
+  let inWindow = false;
+  let pendingArgs: P | undefined;
+  let pendingThis: unknown;
+
+  const invokePending = () => {
+    const args = pendingArgs as P;
+    pendingArgs = undefined;
+    fn.apply(pendingThis, args);
+  };
+
+  const endWindow = () => {
+    inWindow = false;
+    if (trailing && pendingArgs) {
+      invokePending();
+      // throttle keeps a window open after a trailing call, so calls right after it
+      // are still limited
+      if (!restartOnCall) startWindow();
+    }
+  };
+
+  const startWindow = () => {
+    inWindow = true;
+    handle = timer.setTimeout(endWindow, wait);
+  };
+
+  const limited = function (this: unknown, ...args: P): void {
+    if (!inWindow) {
+      startWindow();
+      if (leading) {
+        fn.apply(this, args);
+        return;
+      }
+    } else if (restartOnCall) {
+      timer.clearTimeout(handle);
+      startWindow();
+    }
+    pendingArgs = args;
+    pendingThis = this;
+  };
+
+  Object.defineProperty(limited, "pending", { get: () => !!pendingArgs });
+  return Object.assign(limited, {
+    cancel() {
+      timer.clearTimeout(handle);
+      inWindow = false;
+      pendingArgs = undefined;
+    },
+    flush() {
+      timer.clearTimeout(handle);
+      inWindow = false;
+      if (pendingArgs) invokePending();
+    },
+  }) as RateLimited<P>;
+}
+
+// Calls fn once the calls stopped for `wait` ms, with the latest arguments
+export function debounce<P extends any[]>(
+  fn: (...args: P) => void,
+  wait: number,
+  options: RateLimitOptions = {}
+): RateLimited<P> {
+  return rateLimit(fn, wait, options, true);
+}
+
+// Calls fn at most once every `wait` ms: on the first call and then with the latest
+// arguments at the end of each window that had calls
+export function throttle<P extends any[]>(
+  fn: (...args: P) => void,
+  wait: number,
+  options: RateLimitOptions = {}
+): RateLimited<P> {
+  return rateLimit(fn, wait, { leading: true, ...options }, false);
+}
+
+// const shout = pipe(
+//   (first: string, last: string) => `${first} ${last}`,
+//   (name) => name.toUpperCase(),
+//   (name) => `${name}!`
+// );
+// shout("James", "Bond"); // "JAMES BOND!"
+//
+// const greet = curry(
+//   (greeting: string, name: string, punctuation = "!") => `${greeting} ${name}${punctuation}`
+// );
+// greet("Hello")("James"); // "Hello James!"
+// greet("Hello")("James", "?"); // "Hello James?"
+//
+// const timer = new FakeTimer();
+// const save = debounce(() => console.log("saved"), 300, { timer });
+// save();
+// save();
+// timer.advance(300); // "saved", once
@@ -1,4 +1,5 @@
 // ****** Functions ******
+import { ClickTarget } from "./event_emitter";
 // ==============================
 // Functions in JavaScript
 // ==============================
@@ -193,7 +194,7 @@ alert("card: " + pickedCard3.card + " of " + pickedCard3.suit);
 // With this annotated, you make it explicit that onClickBad must be called on an
 // instance of Handler. Then TypeScript will detect that addClickListener requires
 // a function that has this: void. To fix the error, change the type of this:
-let uiElement;
+let uiElement = new ClickTarget(); // see event_emitter.ts
 class Handler2 {
     onClickGood(e) {
         // can't use `this` here because it's of type void!
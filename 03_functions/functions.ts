@@ -1,5 +1,7 @@
 // ****** Functions ******
 
+import { ClickTarget } from "./event_emitter";
+
 // ==============================
 // Functions in JavaScript
 // ==============================
@@ -215,12 +217,12 @@ function f(this: void) {
   // make sure `this` is unusable in this standalone function
 }
 
-interface Card {
+export interface Card {
   suit: string;
   card: number;
 }
 
-interface Deck {
+export interface Deck {
   suits: string[];
   cards: number[];
   createCardPicker(this: Deck): () => Card;
@@ -258,7 +260,7 @@ alert("card: " + pickedCard3.card + " of " + pickedCard3.suit);
 // parameters to prevent errors with callbacks too.
 
 // First, the library author needs to annotate the callback type with this:
-interface UIElement {
+export interface UIElement {
   addClickListener(onclick: (this: void, e: Event) => void): void;
 }
 // this: void means that addClickListener expects onclick to be a function
@@ -286,7 +288,7 @@ interface UIElement {
 // With this annotated, you make it explicit that onClickBad must be called on an
 // instance of Handler. Then TypeScript will detect that addClickListener requires
 // a function that has this: void. To fix the error, change the type of this:
-let uiElement: UIElement;
+let uiElement: UIElement = new ClickTarget(); // see event_emitter.ts
 
 class Handler2 {
   info: string;
@@ -0,0 +1,174 @@
+// ****** Names ******
+// Compared without case and trailing period
+const PREFIXES = [
+    "mr",
+    "mrs",
+    "ms",
+    "miss",
+    "mx",
+    "dr",
+    "prof",
+    "rev",
+    "sir",
+    "dame",
+];
+const SUFFIXES = ["jr", "sr", "ii", "iii", "iv", "v", "phd", "md", "esq"];
+// Words that belong to the family name that follows them
+const PARTICLES = [
+    "al",
+    "bin",
+    "da",
+    "de",
+    "del",
+    "della",
+    "den",
+    "der",
+    "di",
+    "du",
+    "la",
+    "le",
+    "st.",
+    "ten",
+    "ter",
+    "van",
+    "von",
+];
+function bare(word) {
+    return word.toLowerCase().replace(/\.$/, "");
+}
+function isPrefix(word) {
+    return PREFIXES.indexOf(bare(word)) !== -1;
+}
+function isSuffix(word) {
+    return SUFFIXES.indexOf(bare(word.replace(/\./g, ""))) !== -1;
+}
+function isParticle(word) {
+    return PARTICLES.indexOf(word.toLowerCase()) !== -1;
+}
+function words(text) {
+    return text.split(/\s+/).filter((word) => word.length > 0);
+}
+// ==============================
+// Parsing
+// ==============================
+// Understands "Given Middle Family", "Family, Given Middle" and suffixes after the
+// family name with or without a comma ("Martin Luther King Jr.", "John Smith, PhD").
+export function parseName(fullName) {
+    const parts = fullName.split(",").map((part) => part.trim());
+    if (parts.some((part) => part.length === 0)) {
+        throw new Error(`Cannot parse the name '${fullName}'.`);
+    }
+    // everything after the first comma that only holds suffixes is the suffix
+    const suffix = [];
+    while (parts.length > 1 && words(parts[parts.length - 1]).every(isSuffix)) {
+        suffix.unshift(...words(parts.pop()));
+    }
+    if (parts.length > 2) {
+        throw new Error(`Cannot parse the name '${fullName}'.`);
+    }
+    const name = {
+        prefix: [],
+        given: "",
+        middle: [],
+        family: "",
+        suffix,
+    };
+    if (parts.length === 2) {
+        // family-first: "MacKinzie, Joseph Samuel Lucas"
+        const rest = words(parts[1]);
+        while (rest.length > 1 && isPrefix(rest[0])) {
+            name.prefix.push(rest.shift());
+        }
+        name.family = parts[0];
+        name.given = rest.shift();
+        name.middle = rest;
+        return name;
+    }
+    const tokens = words(parts[0]);
+    while (tokens.length > 1 && isPrefix(tokens[0])) {
+        name.prefix.push(tokens.shift());
+    }
+    while (tokens.length > 1 && isSuffix(tokens[tokens.length - 1])) {
+        name.suffix.unshift(tokens.pop());
+    }
+    name.given = tokens.shift();
+    if (tokens.length > 0) {
+        // the family name starts at the particles in front of the last word
+        let start = tokens.length - 1;
+        while (start > 0 && isParticle(tokens[start - 1]))
+            start--;
+        name.family = tokens.slice(start).join(" ");
+        name.middle = tokens.slice(0, start);
+    }
+    return name;
+}
+// The parts buildName3 takes: the first name, then the rest in order
+export function nameFromParts(firstName, ...restOfName) {
+    return parseName([firstName, ...restOfName].join(" "));
+}
+// ==============================
+// Formatting
+// ==============================
+function initial(word) {
+    return `${word.charAt(0).toUpperCase()}.`;
+}
+function join(...parts) {
+    return []
+        .concat(...parts)
+        .filter((part) => part.length > 0)
+        .join(" ");
+}
+export function formatName(name, style = "full") {
+    switch (style) {
+        case "full":
+            return join(name.prefix, name.given, name.middle, name.family, name.suffix);
+        case "formal":
+            return join(name.prefix, name.given, name.middle.map(initial), name.family, name.suffix);
+        case "informal":
+            return name.given;
+        case "initials": {
+            // particles are not part of the initials: Ludwig van Beethoven is L.B.
+            const family = words(name.family).filter((word) => !isParticle(word));
+            return [name.given, ...name.middle, ...family.slice(0, 1)]
+                .map(initial)
+                .join("");
+        }
+        case "family-first": {
+            const given = join(name.prefix, name.given, name.middle);
+            const suffix = name.suffix.length > 0 ? `, ${name.suffix.join(" ")}` : "";
+            return name.family
+                ? `${name.family}, ${given}${suffix}`
+                : `${given}${suffix}`;
+        }
+        default:
+            throw new Error(`Unknown name style '${style}'.`);
+    }
+}
+// ==============================
+// Sorting
+// ==============================
+// Lower case without accents, so "Émile" sorts with "Emile"
+function fold(text) {
+    return text
+        .normalize("NFD")
+        .replace(/[\u0300-\u036f]/g, "")
+        .toLowerCase();
+}
+// Family name first, then given and middle names. The comma sorts before any letter,
+// so "Smith, John" comes before "Smithson, Anna". A single name sorts as a family name.
+export function sortKey(name) {
+    const given = join(name.given, name.middle);
+    return fold(name.family ? `${name.family}, ${given}` : given);
+}
+export function compareNames(a, b) {
+    const ka = sortKey(a);
+    const kb = sortKey(b);
+    return ka < kb ? -1 : ka > kb ? 1 : 0;
+}
+// const name = parseName("Joseph Samuel Lucas MacKinzie");
+// // { prefix: [], given: "Joseph", middle: ["Samuel", "Lucas"], family: "MacKinzie", suffix: [] }
+// formatName(name); // "Joseph Samuel Lucas MacKinzie"
+// formatName(name, "formal"); // "Joseph S. L. MacKinzie"
+// formatName(name, "initials"); // "J.S.L.M."
+// formatName(parseName("Dr. Martin Luther King Jr."), "family-first"); // "King, Dr. Martin Luther, Jr."
+// ["James Hunt", "James Bond"].map(parseName).sort(compareNames); // Bond, then Hunt
@@ -0,0 +1,271 @@
+// ****** Element Builder ******
+// Properties that hold an element's content or state instead of reflecting an
+// attribute. render() could set them but renderToString() has nothing to write for
+// them, so they are not props: content goes in the children, listeners in `on`.
+const NON_ATTRIBUTE_PROPERTIES = [
+    "textContent",
+    "innerText",
+    "outerText",
+    "innerHTML",
+    "outerHTML",
+    "nodeValue",
+    "text",
+    "scrollTop",
+    "scrollLeft",
+    "indeterminate",
+    "selectedIndex",
+    "selectionStart",
+    "selectionEnd",
+    "selectionDirection",
+    "valueAsNumber",
+    "returnValue",
+    "length",
+    "currentTime",
+    "playbackRate",
+    "defaultPlaybackRate",
+    "volume",
+    // the parts of a link's href
+    "protocol",
+    "username",
+    "password",
+    "host",
+    "hostname",
+    "port",
+    "pathname",
+    "search",
+    "hash",
+];
+export function h(tag, ...rest) {
+    const options = isOptions(rest[0]) ? rest.shift() : {};
+    return { tag, options, children: rest };
+}
+function isOptions(value) {
+    return (typeof value === "object" &&
+        value !== null &&
+        !Array.isArray(value) &&
+        !isElementNode(value));
+}
+export function isElementNode(value) {
+    return (typeof value === "object" &&
+        value !== null &&
+        typeof value.tag === "string" &&
+        Array.isArray(value.children));
+}
+// Children without the nesting and the values that render nothing
+function flatten(children, out = []) {
+    for (const child of children) {
+        if (Array.isArray(child)) {
+            flatten(child, out);
+        }
+        else if (typeof child === "string" || typeof child === "number") {
+            out.push(String(child));
+        }
+        else if (isElementNode(child)) {
+            out.push(child);
+        }
+    }
+    return out;
+}
+// =====================
+// Styles and attributes
+// =====================
+const UNITLESS_STYLES = [
+    "animationIterationCount",
+    "flex",
+    "flexGrow",
+    "flexShrink",
+    "fontWeight",
+    "lineHeight",
+    "opacity",
+    "order",
+    "zIndex",
+    "zoom",
+];
+function cssValue(name, value) {
+    if (typeof value === "number" && value !== 0) {
+        return UNITLESS_STYLES.indexOf(name) === -1 ? `${value}px` : String(value);
+    }
+    return String(value);
+}
+// "backgroundColor" -> "background-color"
+function cssName(name) {
+    return name.replace(/[A-Z]/g, (c) => `-${c.toLowerCase()}`);
+}
+// Property names whose attribute is not just the lower-cased name. The default* ones
+// are the attribute behind a property that holds the current state: defaultValue is
+// the `value` attribute, value is what has been typed since.
+const PROPERTY_ATTRIBUTES = {
+    className: "class",
+    htmlFor: "for",
+    httpEquiv: "http-equiv",
+    acceptCharset: "accept-charset",
+    ch: "char",
+    chOff: "charoff",
+    defaultValue: "value",
+    defaultChecked: "checked",
+    defaultSelected: "selected",
+    defaultMuted: "muted",
+};
+// Attributes that are spelled out as on/off rather than being present or absent:
+// `spellcheck: false` has to render spellcheck="false", not nothing
+const ENUMERATED_ATTRIBUTES = {
+    spellcheck: ["true", "false"],
+    draggable: ["true", "false"],
+    contentEditable: ["true", "false"],
+    translate: ["yes", "no"],
+};
+// Rejects the props the types leave out, for callers without them
+function checkProperty(property) {
+    if (NON_ATTRIBUTE_PROPERTIES.indexOf(property) !== -1 ||
+        /^on/.test(property)) {
+        throw new TypeError(`'${property}' is not an attribute, use children for content and \`on\` for listeners.`);
+    }
+}
+function attributeName(property) {
+    return PROPERTY_ATTRIBUTES[property] || property.toLowerCase();
+}
+function attributeValue(property, value) {
+    const states = ENUMERATED_ATTRIBUTES[property];
+    return states && typeof value === "boolean" ? states[value ? 0 : 1] : value;
+}
+// A textarea's value is its text rather than an attribute
+function isTextareaValue(tag, property) {
+    return (tag === "textarea" && (property === "value" || property === "defaultValue"));
+}
+// props and attrs merged into attribute names, attrs win
+function attributesOf(node) {
+    const attributes = {};
+    const props = (node.options.props || {});
+    for (const key of Object.keys(props)) {
+        checkProperty(key);
+        if (isTextareaValue(node.tag, key))
+            continue;
+        attributes[attributeName(key)] = attributeValue(key, props[key]);
+    }
+    const attrs = node.options.attrs || {};
+    for (const key of Object.keys(attrs))
+        attributes[key] = attrs[key];
+    return attributes;
+}
+// What renderToString() writes between the tags. A textarea that render() gave a
+// `value` shows that value whatever its text (defaultValue and children) is.
+function contentOf(node) {
+    const children = flatten(node.children);
+    if (node.tag !== "textarea")
+        return children;
+    const { value, defaultValue } = (node.options.props || {});
+    if (value != null)
+        return [String(value)];
+    return defaultValue != null ? [String(defaultValue), ...children] : children;
+}
+// =====================
+// Rendering to the DOM
+// =====================
+export function render(node, doc = typeof document !== "undefined"
+    ? document
+    : undefined) {
+    if (!doc) {
+        throw new TypeError("render() needs a document, use renderToString() outside the browser.");
+    }
+    const element = doc.createElement(node.tag);
+    const { props = {}, attrs = {}, style = {}, on = {} } = node.options;
+    for (const key of Object.keys(props)) {
+        checkProperty(key);
+        element[key] = props[key];
+    }
+    for (const key of Object.keys(attrs)) {
+        const value = attrs[key];
+        if (value === true)
+            element.setAttribute(key, "");
+        else if (value !== false && value != null) {
+            element.setAttribute(key, String(value));
+        }
+    }
+    for (const key of Object.keys(style)) {
+        const value = style[key];
+        element.style.setProperty(cssName(key), cssValue(key, value));
+    }
+    for (const type of Object.keys(on)) {
+        element.addEventListener(type, on[type]);
+    }
+    for (const child of flatten(node.children)) {
+        element.appendChild(typeof child === "string" ? doc.createTextNode(child) : render(child, doc));
+    }
+    return element;
+}
+// The overloads from literal_types.ts for every tag
+export function createElement(tag, options, ...children) {
+    return render(h(tag, options, ...children));
+}
+// =====================
+// Rendering to HTML
+// =====================
+// Elements that cannot have children and have no closing tag
+const VOID_ELEMENTS = [
+    "area",
+    "base",
+    "br",
+    "col",
+    "embed",
+    "hr",
+    "img",
+    "input",
+    "link",
+    "meta",
+    "source",
+    "track",
+    "wbr",
+];
+export function escapeHtml(text) {
+    return text
+        .replace(/&/g, "&amp;")
+        .replace(/</g, "&lt;")
+        .replace(/>/g, "&gt;")
+        .replace(/"/g, "&quot;")
+        .replace(/'/g, "&#39;");
+}
+// Listeners cannot be serialized and are left out
+export function renderToString(node) {
+    let html = `<${node.tag}`;
+    const attributes = attributesOf(node);
+    for (const name of Object.keys(attributes)) {
+        const value = attributes[name];
+        if (value === true)
+            html += ` ${name}`;
+        else if (value !== false && value != null) {
+            html += ` ${name}="${escapeHtml(String(value))}"`;
+        }
+    }
+    const style = (node.options.style || {});
+    const declarations = Object.keys(style)
+        .filter((key) => style[key] != null && style[key] !== "")
+        .map((key) => `${cssName(key)}: ${cssValue(key, style[key])}`);
+    if (declarations.length > 0) {
+        html += ` style="${escapeHtml(declarations.join("; "))}"`;
+    }
+    const children = contentOf(node);
+    if (VOID_ELEMENTS.indexOf(node.tag) !== -1) {
+        if (children.length > 0) {
+            throw new Error(`<${node.tag}> cannot have children.`);
+        }
+        return html + ">";
+    }
+    html += ">";
+    for (const child of children) {
+        html +=
+            typeof child === "string" ? escapeHtml(child) : renderToString(child);
+    }
+    return html + `</${node.tag}>`;
+}
+// const card = h(
+//   "div",
+//   { props: { className: "card" }, style: { padding: 8, opacity: 0.9 } },
+//   h("img", { props: { src: "/cat.png", alt: "A cat" } }),
+//   h("p", "Cats & dogs"),
+//   h("button", { attrs: { disabled: true }, on: { click: (e) => e.preventDefault() } }, "Adopt")
+// );
+//
+// renderToString(card);
+// // <div class="card" style="padding: 8px; opacity: 0.9"><img src="/cat.png" alt="A cat">
+// // <p>Cats &amp; dogs</p><button disabled>Adopt</button></div>
+// render(card); // HTMLDivElement, in the browser
@@ -0,0 +1,421 @@
+// ****** Element Builder ******
+
+// createElement in literal_types.ts picks its return type from a string literal tag
+// ("img" gives HTMLImageElement, "input" HTMLInputElement) but needs one overload per
+// tag and returns undefined. Indexing HTMLElementTagNameMap with the tag literal does
+// the same for every tag at once. h() describes an element with its attributes, styles,
+// listeners and children as nested calls, then render() turns the description into a
+// DOM element and renderToString() into HTML, which also works where there is no
+// `document` (Node, server-side snippets).
+
+export type TagName = keyof HTMLElementTagNameMap;
+
+// Properties that hold an element's content or state instead of reflecting an
+// attribute. render() could set them but renderToString() has nothing to write for
+// them, so they are not props: content goes in the children, listeners in `on`.
+const NON_ATTRIBUTE_PROPERTIES = [
+  "textContent",
+  "innerText",
+  "outerText",
+  "innerHTML",
+  "outerHTML",
+  "nodeValue",
+  "text",
+  "scrollTop",
+  "scrollLeft",
+  "indeterminate",
+  "selectedIndex",
+  "selectionStart",
+  "selectionEnd",
+  "selectionDirection",
+  "valueAsNumber",
+  "returnValue",
+  "length",
+  "currentTime",
+  "playbackRate",
+  "defaultPlaybackRate",
+  "volume",
+  // the parts of a link's href
+  "protocol",
+  "username",
+  "password",
+  "host",
+  "hostname",
+  "port",
+  "pathname",
+  "search",
+  "hash",
+] as const;
+
+type NonAttributeProperty = typeof NON_ATTRIBUTE_PROPERTIES[number];
+
+// Whether A and B are the same type; the only comparison that tells readonly apart
+type Same<A, B> = (<X>() => X extends A ? 1 : 2) extends <X>() => X extends B
+  ? 1
+  : 2
+  ? true
+  : false;
+
+// tagName, offsetWidth, ...
+type IsReadonly<T, P extends keyof T> = Same<
+  { [Q in P]: T[Q] },
+  { -readonly [Q in P]: T[Q] }
+> extends true
+  ? false
+  : true;
+
+// Writable properties of an element with a primitive value, e.g. `value`, `disabled`
+// and `type` for "input" but not for "div"; event handler properties (onclick), the
+// ones above and index signatures (HTMLFormElement has one) are left out
+type AttributeProperties<E> = {
+  [P in keyof E as string extends P
+    ? never
+    : number extends P
+    ? never
+    : P extends NonAttributeProperty | `on${infer _Event}`
+    ? never
+    : E[P] extends string | number | boolean
+    ? IsReadonly<E, P> extends true
+      ? never
+      : P
+    : never]: E[P];
+};
+
+export type ElementProps<K extends TagName> = Partial<
+  AttributeProperties<HTMLElementTagNameMap[K]>
+>;
+
+// Style properties by their camelCase name. Numbers get "px" unless the property is
+// unitless, see cssValue.
+export type StyleName = {
+  [P in keyof CSSStyleDeclaration]: CSSStyleDeclaration[P] extends string
+    ? P
+    : never;
+}[keyof CSSStyleDeclaration] &
+  string;
+
+export type Styles = { [P in StyleName]?: string | number };
+
+export type Listeners = {
+  [E in keyof HTMLElementEventMap]?: (event: HTMLElementEventMap[E]) => void;
+};
+
+export type AttributeValue = string | number | boolean | null | undefined;
+
+export type Attributes = { [name: string]: AttributeValue };
+
+export interface ElementOptions<K extends TagName> {
+  props?: ElementProps<K>;
+  // Raw attributes for anything without a property (data-*, aria-*, ...). true renders
+  // the bare attribute, false, null and undefined leave it out.
+  attrs?: Attributes;
+  style?: Styles;
+  on?: Listeners;
+}
+
+// null, undefined and booleans render nothing, so `cond && h(...)` can be a child
+export type Child =
+  | ElementNode
+  | string
+  | number
+  | boolean
+  | null
+  | undefined
+  | Child[];
+
+export interface ElementNode<K extends TagName = TagName> {
+  tag: K;
+  options: ElementOptions<K>;
+  children: Child[];
+}
+
+// =====================
+// Building
+// =====================
+
+export function h<K extends TagName>(
+  tag: K,
+  options?: ElementOptions<K>,
+  ...children: Child[]
+): ElementNode<K>;
+export function h<K extends TagName>(
+  tag: K,
+  ...children: Child[]
+): ElementNode<K>;
+export function h<K extends TagName>(tag: K, ...rest: any[]): ElementNode<K> {
+  const options = isOptions(rest[0]) ? rest.shift() : {};
+  return { tag, options, children: rest };
+}
+
+function isOptions(value: unknown): value is ElementOptions<TagName> {
+  return (
+    typeof value === "object" &&
+    value !== null &&
+    !Array.isArray(value) &&
+    !isElementNode(value)
+  );
+}
+
+export function isElementNode(value: unknown): value is ElementNode {
+  return (
+    typeof value === "object" &&
+    value !== null &&
+    typeof (value as ElementNode).tag === "string" &&
+    Array.isArray((value as ElementNode).children)
+  );
+}
+
+// Children without the nesting and the values that render nothing
+function flatten(children: Child[], out: (ElementNode | string)[] = []) {
+  for (const child of children) {
+    if (Array.isArray(child)) {
+      flatten(child, out);
+    } else if (typeof child === "string" || typeof child === "number") {
+      out.push(String(child));
+    } else if (isElementNode(child)) {
+      out.push(child);
+    }
+  }
+  return out;
+}
+
+// =====================
+// Styles and attributes
+// =====================
+
+const UNITLESS_STYLES = [
+  "animationIterationCount",
+  "flex",
+  "flexGrow",
+  "flexShrink",
+  "fontWeight",
+  "lineHeight",
+  "opacity",
+  "order",
+  "zIndex",
+  "zoom",
+];
+
+function cssValue(name: string, value: string | number): string {
+  if (typeof value === "number" && value !== 0) {
+    return UNITLESS_STYLES.indexOf(name) === -1 ? `${value}px` : String(value);
+  }
+  return String(value);
+}
+
+// "backgroundColor" -> "background-color"
+function cssName(name: string): string {
+  return name.replace(/[A-Z]/g, (c) => `-${c.toLowerCase()}`);
+}
+
+// Property names whose attribute is not just the lower-cased name. The default* ones
+// are the attribute behind a property that holds the current state: defaultValue is
+// the `value` attribute, value is what has been typed since.
+const PROPERTY_ATTRIBUTES: { [property: string]: string } = {
+  className: "class",
+  htmlFor: "for",
+  httpEquiv: "http-equiv",
+  acceptCharset: "accept-charset",
+  ch: "char",
+  chOff: "charoff",
+  defaultValue: "value",
+  defaultChecked: "checked",
+  defaultSelected: "selected",
+  defaultMuted: "muted",
+};
+
+// Attributes that are spelled out as on/off rather than being present or absent:
+// `spellcheck: false` has to render spellcheck="false", not nothing
+const ENUMERATED_ATTRIBUTES: { [property: string]: [string, string] } = {
+  spellcheck: ["true", "false"],
+  draggable: ["true", "false"],
+  contentEditable: ["true", "false"],
+  translate: ["yes", "no"],
+};
+
+// Rejects the props the types leave out, for callers without them
+function checkProperty(property: string): void {
+  if (
+    (NON_ATTRIBUTE_PROPERTIES as readonly string[]).indexOf(property) !== -1 ||
+    /^on/.test(property)
+  ) {
+    throw new TypeError(
+      `'${property}' is not an attribute, use children for content and \`on\` for listeners.`
+    );
+  }
+}
+
+function attributeName(property: string): string {
+  return PROPERTY_ATTRIBUTES[property] || property.toLowerCase();
+}
+
+function attributeValue(property: string, value: AttributeValue) {
+  const states = ENUMERATED_ATTRIBUTES[property];
+  return states && typeof value === "boolean" ? states[value ? 0 : 1] : value;
+}
+
+// A textarea's value is its text rather than an attribute
+function isTextareaValue(tag: TagName, property: string): boolean {
+  return (
+    tag === "textarea" && (property === "value" || property === "defaultValue")
+  );
+}
+
+// props and attrs merged into attribute names, attrs win
+function attributesOf(node: ElementNode): Attributes {
+  const attributes: Attributes = {};
+  const props = (node.options.props || {}) as Attributes;
+  for (const key of Object.keys(props)) {
+    checkProperty(key);
+    if (isTextareaValue(node.tag, key)) continue;
+    attributes[attributeName(key)] = attributeValue(key, props[key]);
+  }
+  const attrs = node.options.attrs || {};
+  for (const key of Object.keys(attrs)) attributes[key] = attrs[key];
+  return attributes;
+}
+
+// What renderToString() writes between the tags. A textarea that render() gave a
+// `value` shows that value whatever its text (defaultValue and children) is.
+function contentOf(node: ElementNode): (ElementNode | string)[] {
+  const children = flatten(node.children);
+  if (node.tag !== "textarea") return children;
+  const { value, defaultValue } = (node.options.props || {}) as Attributes;
+  if (value != null) return [String(value)];
+  return defaultValue != null ? [String(defaultValue), ...children] : children;
+}
+
+// =====================
+// Rendering to the DOM
+// =====================
+
+export function render<K extends TagName>(
+  node: ElementNode<K>,
+  doc: Document | undefined = typeof document !== "undefined"
+    ? document
+    : undefined
+): HTMLElementTagNameMap[K] {
+  if (!doc) {
+    throw new TypeError(
+      "render() needs a document, use renderToString() outside the browser."
+    );
+  }
+  const element = doc.createElement(node.tag);
+  const { props = {}, attrs = {}, style = {}, on = {} } = node.options;
+
+  for (const key of Object.keys(props)) {
+    checkProperty(key);
+    (element as any)[key] = (props as any)[key];
+  }
+  for (const key of Object.keys(attrs)) {
+    const value = attrs[key];
+    if (value === true) element.setAttribute(key, "");
+    else if (value !== false && value != null) {
+      element.setAttribute(key, String(value));
+    }
+  }
+  for (const key of Object.keys(style)) {
+    const value = (style as { [name: string]: string | number })[key];
+    element.style.setProperty(cssName(key), cssValue(key, value));
+  }
+  for (const type of Object.keys(on)) {
+    element.addEventListener(type, (on as any)[type]);
+  }
+  for (const child of flatten(node.children)) {
+    element.appendChild(
+      typeof child === "string" ? doc.createTextNode(child) : render(child, doc)
+    );
+  }
+  return element;
+}
+
+// The overloads from literal_types.ts for every tag
+export function createElement<K extends TagName>(
+  tag: K,
+  options?: ElementOptions<K>,
+  ...children: Child[]
+): HTMLElementTagNameMap[K] {
+  return render(h(tag, options, ...children));
+}
+
+// =====================
+// Rendering to HTML
+// =====================
+
+// Elements that cannot have children and have no closing tag
+const VOID_ELEMENTS = [
+  "area",
+  "base",
+  "br",
+  "col",
+  "embed",
+  "hr",
+  "img",
+  "input",
+  "link",
+  "meta",
+  "source",
+  "track",
+  "wbr",
+];
+
+export function escapeHtml(text: string): string {
+  return text
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
+// Listeners cannot be serialized and are left out
+export function renderToString(node: ElementNode): string {
+  let html = `<${node.tag}`;
+
+  const attributes = attributesOf(node);
+  for (const name of Object.keys(attributes)) {
+    const value = attributes[name];
+    if (value === true) html += ` ${name}`;
+    else if (value !== false && value != null) {
+      html += ` ${name}="${escapeHtml(String(value))}"`;
+    }
+  }
+
+  const style = (node.options.style || {}) as {
+    [name: string]: string | number;
+  };
+  const declarations = Object.keys(style)
+    .filter((key) => style[key] != null && style[key] !== "")
+    .map((key) => `${cssName(key)}: ${cssValue(key, style[key])}`);
+  if (declarations.length > 0) {
+    html += ` style="${escapeHtml(declarations.join("; "))}"`;
+  }
+
+  const children = contentOf(node);
+  if (VOID_ELEMENTS.indexOf(node.tag) !== -1) {
+    if (children.length > 0) {
+      throw new Error(`<${node.tag}> cannot have children.`);
+    }
+    return html + ">";
+  }
+
+  html += ">";
+  for (const child of children) {
+    html +=
+      typeof child === "string" ? escapeHtml(child) : renderToString(child);
+  }
+  return html + `</${node.tag}>`;
+}
+
+// const card = h(
+//   "div",
+//   { props: { className: "card" }, style: { padding: 8, opacity: 0.9 } },
+//   h("img", { props: { src: "/cat.png", alt: "A cat" } }),
+//   h("p", "Cats & dogs"),
+//   h("button", { attrs: { disabled: true }, on: { click: (e) => e.preventDefault() } }, "Adopt")
+// );
+//
+// renderToString(card);
+// // <div class="card" style="padding: 8px; opacity: 0.9"><img src="/cat.png" alt="A cat">
+// // <p>Cats &amp; dogs</p><button disabled>Adopt</button></div>
+// render(card); // HTMLDivElement, in the browser
@@ -44,3 +44,4 @@ function rollDice() {
     return Math.floor(Math.random() * 6 + 1);
 }
 const result = rollDice();
+export {};
@@ -31,7 +31,7 @@ let hiWorld = "Hi World";
 // and type aliases. You can use these features together to get enum-like behavior
 // with strings.
 
-type Easing = "ease-in" | "ease-out" | "ease-in-out";
+export type Easing = "ease-in" | "ease-out" | "ease-in-out";
 
 class UIElement {
   animate(dx: number, dy: number, easing: Easing) {
@@ -72,7 +72,7 @@ function rollDice(): 1 | 2 | 3 | 4 | 5 | 6 {
 const result = rollDice();
 
 // A common case for their use is for describing config values:
-interface MapConfig {
+export interface MapConfig {
   lng: number;
   lat: number;
   tileSize: 8 | 16 | 32;
@@ -86,14 +86,14 @@ interface MapConfig {
 // TypeScript also has boolean literal types. You might use these to constrain
 // object values whose properties are interrelated.
 
-interface ValidationSuccess {
+export interface ValidationSuccess {
   isValid: true;
   reason: null;
 }
 
-interface ValidationFailure {
+export interface ValidationFailure {
   isValid: false;
   reason: string;
 }
 
-type ValidationResult = ValidationSuccess | ValidationFailure;
+export type ValidationResult = ValidationSuccess | ValidationFailure;
@@ -0,0 +1,196 @@
+// ****** Map Tiles ******
+
+// The setupMap call that is commented out in literal_types.ts, implemented. MapConfig's
+// numeric literal type keeps tileSize to 8 | 16 | 32 at compile time; setupMap checks
+// the config again at runtime (configs usually come from JSON) and does the Web-Mercator
+// ("slippy map") math an offline renderer needs: lng/lat to tile x/y/zoom plus the pixel
+// offset inside the tile, the tiles covering a bounding box, and a tile's lng/lat bounds.
+
+import type { MapConfig } from "./literal_types";
+import { literal, number, object } from "./validation";
+
+export type TileSize = MapConfig["tileSize"];
+
+export const TILE_SIZES: TileSize[] = [8, 16, 32];
+
+// Web Mercator stops at ~85.0511°, where the projected map becomes a square
+export const MAX_LATITUDE = 85.0511287798066;
+export const MAX_ZOOM = 22;
+export const DEFAULT_ZOOM = 12;
+
+export interface Tile {
+  x: number;
+  y: number;
+  zoom: number;
+}
+
+export interface LngLat {
+  lng: number;
+  lat: number;
+}
+
+export interface Bounds {
+  west: number;
+  south: number;
+  east: number;
+  north: number;
+}
+
+export interface MapSetup {
+  center: LngLat;
+  tileSize: TileSize;
+  tile: Tile;
+  // pixel of `center` inside `tile`, from its top-left corner
+  offset: { x: number; y: number };
+}
+
+// =====================
+// Validation
+// =====================
+
+const mapConfig = object({
+  lng: number().min(-180).max(180),
+  lat: number().min(-MAX_LATITUDE).max(MAX_LATITUDE),
+  tileSize: literal(8, 16, 32),
+});
+
+const zoomLevel = number().integer().min(0).max(MAX_ZOOM);
+
+function assertZoom(zoom: number): void {
+  const result = zoomLevel.validate(zoom);
+  if (result.isValid === false) {
+    throw new RangeError(`Invalid zoom: ${result.reason}`);
+  }
+}
+
+// =====================
+// Projection
+// =====================
+
+function tileCount(zoom: number): number {
+  return Math.pow(2, zoom);
+}
+
+function clamp(value: number, min: number, max: number): number {
+  return Math.min(Math.max(value, min), max);
+}
+
+// Position in tile units: the integer part is the tile, the fraction the spot inside it
+function project({ lng, lat }: LngLat, zoom: number): { x: number; y: number } {
+  const n = tileCount(zoom);
+  const latRad = (clamp(lat, -MAX_LATITUDE, MAX_LATITUDE) * Math.PI) / 180;
+  return {
+    x: ((lng + 180) / 360) * n,
+    y:
+      ((1 - Math.log(Math.tan(latRad) + 1 / Math.cos(latRad)) / Math.PI) / 2) *
+      n,
+  };
+}
+
+function tileIndex(position: number, zoom: number): number {
+  // lng 180 / lat -85.05 land exactly on the far edge, keep them in the last tile
+  return clamp(Math.floor(position), 0, tileCount(zoom) - 1);
+}
+
+export function lngLatToTile(point: LngLat, zoom: number): Tile {
+  assertZoom(zoom);
+  const { x, y } = project(point, zoom);
+  return { x: tileIndex(x, zoom), y: tileIndex(y, zoom), zoom };
+}
+
+// Pixel offset of `point` inside its tile for the given tile size
+export function pixelOffset(
+  point: LngLat,
+  zoom: number,
+  tileSize: TileSize
+): { x: number; y: number } {
+  const tile = lngLatToTile(point, zoom);
+  const { x, y } = project(point, zoom);
+  return {
+    x: Math.min(Math.floor((x - tile.x) * tileSize), tileSize - 1),
+    y: Math.min(Math.floor((y - tile.y) * tileSize), tileSize - 1),
+  };
+}
+
+// The north-west corner of a tile; x + 1 / y + 1 give the other corners
+function tileCorner(x: number, y: number, zoom: number): LngLat {
+  const n = tileCount(zoom);
+  return {
+    lng: (x / n) * 360 - 180,
+    lat: (Math.atan(Math.sinh(Math.PI * (1 - (2 * y) / n))) * 180) / Math.PI,
+  };
+}
+
+export function tileToBounds({ x, y, zoom }: Tile): Bounds {
+  assertZoom(zoom);
+  const n = tileCount(zoom);
+  if (!(Number.isInteger(x) && Number.isInteger(y) && x >= 0 && y >= 0)) {
+    throw new RangeError(`Invalid tile ${x}/${y}.`);
+  }
+  if (x >= n || y >= n) {
+    throw new RangeError(`Tile ${x}/${y} does not exist at zoom ${zoom}.`);
+  }
+  const northWest = tileCorner(x, y, zoom);
+  const southEast = tileCorner(x + 1, y + 1, zoom);
+  return {
+    west: northWest.lng,
+    south: southEast.lat,
+    east: southEast.lng,
+    north: northWest.lat,
+  };
+}
+
+// Every tile that intersects the bounding box, row by row from the north-west. A box
+// with west > east crosses the antimeridian and wraps around.
+export function tilesInBounds(
+  bounds: Bounds,
+  zoom: number,
+  maxTiles = 10000
+): Tile[] {
+  assertZoom(zoom);
+  const n = tileCount(zoom);
+  const nw = lngLatToTile({ lng: bounds.west, lat: bounds.north }, zoom);
+  const se = lngLatToTile({ lng: bounds.east, lat: bounds.south }, zoom);
+
+  const columns = se.x >= nw.x ? se.x - nw.x + 1 : n - nw.x + se.x + 1;
+  const rows = se.y - nw.y + 1;
+  if (rows <= 0) throw new RangeError("Bounds north must be above south.");
+  if (columns * rows > maxTiles) {
+    throw new RangeError(
+      `Bounds cover ${
+        columns * rows
+      } tiles at zoom ${zoom}, more than ${maxTiles}.`
+    );
+  }
+
+  const tiles: Tile[] = [];
+  for (let y = nw.y; y <= se.y; y++) {
+    for (let i = 0; i < columns; i++) {
+      tiles.push({ x: (nw.x + i) % n, y, zoom });
+    }
+  }
+  return tiles;
+}
+
+// =====================
+// setupMap
+// =====================
+
+export function setupMap(config: MapConfig, zoom = DEFAULT_ZOOM): MapSetup {
+  const result = mapConfig.validate(config);
+  if (result.isValid === false) {
+    throw new RangeError(`Invalid map config: ${result.reason}`);
+  }
+  assertZoom(zoom);
+
+  const center = { lng: config.lng, lat: config.lat };
+  return {
+    center,
+    tileSize: config.tileSize,
+    tile: lngLatToTile(center, zoom),
+    offset: pixelOffset(center, zoom, config.tileSize),
+  };
+}
+
+// setupMap({ lng: -73.935242, lat: 40.73061, tileSize: 16 });
+// // { tile: { x: 1206, y: 1539, zoom: 12 }, offset: { x: 12, y: 11 }, ... }
@@ -0,0 +1,347 @@
+// ****** Tween ******
+
+// UIElement.animate in literal_types.ts branches on the Easing literal union but every
+// branch is empty. This module fills them in: easing curves for the three literals (plus
+// cubic-bezier and step easings), a Timeline that places tweens one after another or
+// side by side, and playback driven by an injectable Clock. With a FakeClock every frame
+// happens when the test says so, which makes animations deterministic.
+
+import type { Easing } from "./literal_types";
+
+// =====================
+// Easing curves
+// =====================
+
+// Maps progress in [0, 1] to eased progress (which may overshoot for some curves)
+export type EasingFunction = (t: number) => number;
+
+export const linear: EasingFunction = (t) => t;
+
+// Same curve as CSS cubic-bezier(x1, y1, x2, y2)
+export function cubicBezier(
+  x1: number,
+  y1: number,
+  x2: number,
+  y2: number
+): EasingFunction {
+  if (x1 < 0 || x1 > 1 || x2 < 0 || x2 > 1) {
+    throw new RangeError("cubicBezier x values must be in [0, 1].");
+  }
+
+  // polynomial coefficients of the curve, with P0 = (0, 0) and P3 = (1, 1)
+  const cx = 3 * x1;
+  const bx = 3 * (x2 - x1) - cx;
+  const ax = 1 - cx - bx;
+  const cy = 3 * y1;
+  const by = 3 * (y2 - y1) - cy;
+  const ay = 1 - cy - by;
+
+  const sampleX = (s: number) => ((ax * s + bx) * s + cx) * s;
+  const sampleY = (s: number) => ((ay * s + by) * s + cy) * s;
+  const slopeX = (s: number) => (3 * ax * s + 2 * bx) * s + cx;
+
+  // the curve parameter s for which sampleX(s) === x: Newton's method first, and
+  // bisection when the slope is too flat for it to converge
+  const solve = (x: number) => {
+    let s = x;
+    for (let i = 0; i < 8; i++) {
+      const error = sampleX(s) - x;
+      if (Math.abs(error) < 1e-7) return s;
+      const slope = slopeX(s);
+      if (Math.abs(slope) < 1e-6) break;
+      s -= error / slope;
+    }
+    let lo = 0;
+    let hi = 1;
+    s = x;
+    while (hi - lo > 1e-7) {
+      if (sampleX(s) < x) lo = s;
+      else hi = s;
+      s = (lo + hi) / 2;
+    }
+    return s;
+  };
+
+  return (t) => (t <= 0 ? 0 : t >= 1 ? 1 : sampleY(solve(t)));
+}
+
+// Same as CSS steps(): "end" jumps at the end of each interval, "start" at its start
+export function steps(
+  count: number,
+  position: "start" | "end" = "end"
+): EasingFunction {
+  if (!(Number.isInteger(count) && count > 0)) {
+    throw new RangeError("steps count must be a positive integer.");
+  }
+  return (t) => {
+    if (t <= 0) return 0;
+    if (t >= 1) return 1;
+    const step =
+      position === "start" ? Math.ceil(t * count) : Math.floor(t * count);
+    return step / count;
+  };
+}
+
+// The CSS definitions of the named curves
+const namedEasings: { [E in Easing | "linear"]: EasingFunction } = {
+  linear,
+  "ease-in": cubicBezier(0.42, 0, 1, 1),
+  "ease-out": cubicBezier(0, 0, 0.58, 1),
+  "ease-in-out": cubicBezier(0.42, 0, 0.58, 1),
+};
+
+export function resolveEasing(
+  easing: Easing | "linear" | EasingFunction
+): EasingFunction {
+  if (typeof easing === "function") return easing;
+  const fn = namedEasings[easing];
+  if (!fn) throw new RangeError(`Unknown easing '${easing}'.`);
+  return fn;
+}
+
+// =====================
+// Clocks
+// =====================
+
+export interface Clock {
+  now(): number; // milliseconds
+  // Calls `callback` once on the next frame, returns a function that cancels it
+  requestFrame(callback: () => void): () => void;
+}
+
+export const realClock: Clock = {
+  now: () => Date.now(),
+  requestFrame(callback) {
+    if (typeof requestAnimationFrame === "function") {
+      const id = requestAnimationFrame(() => callback());
+      return () => cancelAnimationFrame(id);
+    }
+    const id = setTimeout(callback, 16);
+    return () => clearTimeout(id);
+  },
+};
+
+// Time only moves when advance() is called
+export class FakeClock implements Clock {
+  private time: number;
+  private callbacks: (() => void)[] = [];
+
+  constructor(start = 0) {
+    this.time = start;
+  }
+
+  now(): number {
+    return this.time;
+  }
+
+  requestFrame(callback: () => void): () => void {
+    const entry = () => callback();
+    this.callbacks.push(entry);
+    return () => {
+      const index = this.callbacks.indexOf(entry);
+      if (index !== -1) this.callbacks.splice(index, 1);
+    };
+  }
+
+  // Moves time forward in frames of `frame` ms, running the frame callbacks after
+  // every step
+  advance(ms: number, frame = 16): void {
+    let remaining = ms;
+    while (remaining > 0) {
+      const step = Math.min(frame, remaining);
+      this.time += step;
+      remaining -= step;
+      const due = this.callbacks;
+      this.callbacks = [];
+      for (const callback of due) callback();
+    }
+  }
+
+  get pendingFrames(): number {
+    return this.callbacks.length;
+  }
+}
+
+// =====================
+// Tweens and timelines
+// =====================
+
+export type Tweenable = number | { [key: string]: number };
+
+export interface TweenSpec<T extends Tweenable> {
+  from: T;
+  to: T;
+  duration: number; // ms
+  delay?: number; // ms
+  easing?: Easing | "linear" | EasingFunction;
+  onUpdate: (value: T) => void;
+}
+
+export function interpolate<T extends Tweenable>(from: T, to: T, t: number): T {
+  if (typeof from === "number") {
+    return ((from as number) + ((to as number) - from) * t) as T;
+  }
+  const a = from as { [key: string]: number };
+  const b = to as { [key: string]: number };
+  const value: { [key: string]: number } = {};
+  for (const key of Object.keys(a)) value[key] = a[key] + (b[key] - a[key]) * t;
+  return value as T;
+}
+
+interface TimelineEntry {
+  start: number; // offset from the start of the timeline, delay included
+  duration: number;
+  update: (progress: number) => void; // progress in [0, 1]
+}
+
+// Tweens placed on a shared time axis. add() appends after everything added so far,
+// join() runs alongside the previously added tween.
+export class Timeline {
+  private entries: TimelineEntry[] = [];
+  private lastStart = 0;
+
+  add<T extends Tweenable>(spec: TweenSpec<T>): this {
+    return this.place(spec, this.duration);
+  }
+
+  join<T extends Tweenable>(spec: TweenSpec<T>): this {
+    return this.place(spec, this.lastStart);
+  }
+
+  // Total length in ms
+  get duration(): number {
+    return this.entries.reduce(
+      (end, e) => Math.max(end, e.start + e.duration),
+      0
+    );
+  }
+
+  // Applies every tween that has started by `time`. Tweens that already ended are
+  // reported with their final value only once, see Playback.
+  seek(time: number, ended: boolean[] = []): void {
+    this.entries.forEach((entry, i) => {
+      if (ended[i] || time < entry.start) return;
+      const progress =
+        entry.duration === 0
+          ? 1
+          : Math.min((time - entry.start) / entry.duration, 1);
+      entry.update(progress);
+      if (progress === 1) ended[i] = true;
+    });
+  }
+
+  private place<T extends Tweenable>(spec: TweenSpec<T>, at: number): this {
+    if (!(spec.duration >= 0)) throw new RangeError("duration must be >= 0.");
+    const ease = resolveEasing(spec.easing || "linear");
+    this.lastStart = at;
+    this.entries.push({
+      start: at + (spec.delay || 0),
+      duration: spec.duration,
+      update: (progress) =>
+        spec.onUpdate(
+          progress === 1
+            ? spec.to
+            : interpolate(spec.from, spec.to, ease(progress))
+        ),
+    });
+    return this;
+  }
+}
+
+// =====================
+// Playback
+// =====================
+
+export type PlaybackStatus = "completed" | "cancelled";
+
+export class Playback {
+  // Resolves once, when the timeline finished or was cancelled
+  readonly finished: Promise<PlaybackStatus>;
+
+  private resolve!: (status: PlaybackStatus) => void;
+  private cancelFrame: () => void = () => {};
+  private ended: boolean[] = [];
+  private startTime: number;
+  private done = false;
+
+  constructor(private timeline: Timeline, private clock: Clock = realClock) {
+    this.finished = new Promise((resolve) => (this.resolve = resolve));
+    this.startTime = clock.now();
+    this.frame();
+  }
+
+  get running(): boolean {
+    return !this.done;
+  }
+
+  cancel(): void {
+    if (this.done) return;
+    this.cancelFrame();
+    this.stop("cancelled");
+  }
+
+  private frame(): void {
+    const elapsed = this.clock.now() - this.startTime;
+    this.timeline.seek(elapsed, this.ended);
+    if (elapsed >= this.timeline.duration) {
+      this.stop("completed");
+    } else {
+      this.cancelFrame = this.clock.requestFrame(() => this.frame());
+    }
+  }
+
+  private stop(status: PlaybackStatus): void {
+    this.done = true;
+    this.resolve(status);
+  }
+}
+
+export function play(timeline: Timeline, clock: Clock = realClock): Playback {
+  return new Playback(timeline, clock);
+}
+
+export function tween<T extends Tweenable>(
+  spec: TweenSpec<T>,
+  clock: Clock = realClock
+): Playback {
+  return play(new Timeline().add(spec), clock);
+}
+
+// =====================
+// UIElement.animate
+// =====================
+
+// The UIElement from literal_types.ts with its empty branches filled in
+export class AnimatedElement {
+  x = 0;
+  y = 0;
+  private current: Playback | undefined;
+
+  constructor(private clock: Clock = realClock, readonly duration = 300) {}
+
+  // Starting a new animation cancels the one that is still running
+  animate(dx: number, dy: number, easing: Easing): Playback {
+    if (this.current) this.current.cancel();
+    this.current = tween(
+      {
+        from: { x: this.x, y: this.y },
+        to: { x: this.x + dx, y: this.y + dy },
+        duration: this.duration,
+        easing,
+        onUpdate: ({ x, y }) => {
+          this.x = x;
+          this.y = y;
+        },
+      },
+      this.clock
+    );
+    return this.current;
+  }
+}
+
+// const clock = new FakeClock();
+// const button = new AnimatedElement(clock, 300);
+// const playback = button.animate(100, 0, "ease-in");
+// clock.advance(150); // button.x is ~31.5, ease-in starts slowly
+// clock.advance(150); // button.x is 100
+// await playback.finished; // "completed"
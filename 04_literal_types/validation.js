@@ -0,0 +1,170 @@
+// ****** Validation ******
+import { describe } from "../05_unions_and_intersection_types/response_decoder";
+export function formatIssues(issues) {
+    return issues
+        .map(({ path, message }) => (path ? `${path}: ${message}` : message))
+        .join("; ");
+}
+export class Validator {
+    constructor() {
+        this.rules = [];
+    }
+    // Every problem found at `path`, an empty list means the value is a valid T.
+    // Refinements only run once the structural check passed, and all of them run.
+    issues(value, path = "") {
+        const issues = this.check(value, path);
+        if (issues.length > 0)
+            return issues;
+        return this.rules
+            .filter((rule) => !rule.predicate(value))
+            .map((rule) => ({ path, message: rule.message }));
+    }
+    validate(value) {
+        const issues = this.issues(value);
+        if (issues.length === 0) {
+            const success = { isValid: true, reason: null };
+            return success;
+        }
+        const failure = {
+            isValid: false,
+            reason: formatIssues(issues),
+        };
+        return failure;
+    }
+    is(value) {
+        return this.issues(value).length === 0;
+    }
+    // Returns a copy with a custom rule added, so string().minLength(1) does not change
+    // the string() validator it was created from
+    refine(predicate, message) {
+        const copy = Object.create(Object.getPrototypeOf(this));
+        Object.assign(copy, this);
+        copy.rules = this.rules.concat([{ predicate, message }]);
+        return copy;
+    }
+    optional() {
+        return new OptionalValidator(this);
+    }
+}
+export class OptionalValidator extends Validator {
+    constructor(inner) {
+        super();
+        this.inner = inner;
+        // lets object() tell optional fields apart at the type level
+        this.isOptional = true;
+    }
+    check(value, path) {
+        return value === undefined ? [] : this.inner.issues(value, path);
+    }
+}
+// =====================
+// Primitives
+// =====================
+export class StringValidator extends Validator {
+    check(value, path) {
+        return typeof value === "string"
+            ? []
+            : [{ path, message: `expected string, got ${describe(value)}` }];
+    }
+    minLength(length) {
+        return this.refine((s) => s.length >= length, `must be at least ${length} characters long`);
+    }
+    maxLength(length) {
+        return this.refine((s) => s.length <= length, `must be at most ${length} characters long`);
+    }
+    pattern(regex, message = `must match ${regex}`) {
+        return this.refine((s) => regex.test(s), message);
+    }
+}
+export class NumberValidator extends Validator {
+    check(value, path) {
+        if (typeof value !== "number") {
+            return [{ path, message: `expected number, got ${describe(value)}` }];
+        }
+        return isNaN(value) ? [{ path, message: "expected number, got NaN" }] : [];
+    }
+    min(min) {
+        return this.refine((n) => n >= min, `must be at least ${min}`);
+    }
+    max(max) {
+        return this.refine((n) => n <= max, `must be at most ${max}`);
+    }
+    integer() {
+        return this.refine((n) => Number.isInteger(n), "must be an integer");
+    }
+}
+export class LiteralValidator extends Validator {
+    constructor(values) {
+        super();
+        this.values = values;
+    }
+    check(value, path) {
+        if (this.values.indexOf(value) !== -1)
+            return [];
+        const expected = this.values.map((v) => JSON.stringify(v)).join(" | ");
+        return [
+            { path, message: `expected ${expected}, got ${JSON.stringify(value)}` },
+        ];
+    }
+}
+// =====================
+// Combinators
+// =====================
+export class ArrayValidator extends Validator {
+    constructor(item) {
+        super();
+        this.item = item;
+    }
+    check(value, path) {
+        if (!Array.isArray(value)) {
+            return [{ path, message: `expected array, got ${describe(value)}` }];
+        }
+        let issues = [];
+        value.forEach((element, i) => {
+            issues = issues.concat(this.item.issues(element, `${path}[${i}]`));
+        });
+        return issues;
+    }
+}
+export class ObjectValidator extends Validator {
+    constructor(shape) {
+        super();
+        this.shape = shape;
+    }
+    check(value, path) {
+        if (typeof value !== "object" || value === null || Array.isArray(value)) {
+            return [{ path, message: `expected object, got ${describe(value)}` }];
+        }
+        const record = value;
+        let issues = [];
+        for (const key of Object.keys(this.shape)) {
+            const fieldPath = path ? `${path}.${key}` : key;
+            if (!(key in record) && !(this.shape[key] instanceof OptionalValidator)) {
+                issues.push({ path: fieldPath, message: "is required" });
+                continue;
+            }
+            issues = issues.concat(this.shape[key].issues(record[key], fieldPath));
+        }
+        return issues;
+    }
+}
+// =====================
+// Factories
+// =====================
+export const string = () => new StringValidator();
+export const number = () => new NumberValidator();
+export const literal = (...values) => new LiteralValidator(values);
+export const array = (item) => new ArrayValidator(item);
+export const object = (shape) => new ObjectValidator(shape);
+export const optional = (validator) => validator.optional();
+// const mapConfig = object({
+//   lng: number().min(-180).max(180),
+//   lat: number().min(-90).max(90),
+//   tileSize: literal(8, 16, 32),
+//   label: optional(string().maxLength(20)),
+// });
+//
+// mapConfig.validate({ lng: -73.935242, lat: 40.73061, tileSize: 16 });
+// // { isValid: true, reason: null }
+// mapConfig.validate({ lng: 200, tileSize: 12 });
+// // { isValid: false, reason: "lng: must be at most 180; lat: is required; tileSize: expected 8 | 16 | 32, got 12" }
@@ -0,0 +1,245 @@
+// ****** Validation ******
+
+// ValidationResult in literal_types.ts uses the boolean literals `true` and `false` to tie
+// `isValid` to `reason`. The validators below are what produce those values: every
+// validate() call returns exactly a ValidationSuccess or a ValidationFailure. A failure
+// does not stop at the first problem, `reason` lists every one of them with its field path.
+
+import type {
+  ValidationFailure,
+  ValidationResult,
+  ValidationSuccess,
+} from "./literal_types";
+import { describe } from "../05_unions_and_intersection_types/response_decoder";
+
+export interface ValidationIssue {
+  path: string; // e.g. "address.lines[1]", "" is the value itself
+  message: string;
+}
+
+export function formatIssues(issues: ValidationIssue[]): string {
+  return issues
+    .map(({ path, message }) => (path ? `${path}: ${message}` : message))
+    .join("; ");
+}
+
+// =====================
+// Validator
+// =====================
+
+interface Rule<T> {
+  predicate: (value: T) => boolean;
+  message: string;
+}
+
+export abstract class Validator<T> {
+  private rules: Rule<T>[] = [];
+
+  // The structural check (is it a string, an object with these fields, ...)
+  protected abstract check(value: unknown, path: string): ValidationIssue[];
+
+  // Every problem found at `path`, an empty list means the value is a valid T.
+  // Refinements only run once the structural check passed, and all of them run.
+  issues(value: unknown, path = ""): ValidationIssue[] {
+    const issues = this.check(value, path);
+    if (issues.length > 0) return issues;
+    return this.rules
+      .filter((rule) => !rule.predicate(value as T))
+      .map((rule) => ({ path, message: rule.message }));
+  }
+
+  validate(value: unknown): ValidationResult {
+    const issues = this.issues(value);
+    if (issues.length === 0) {
+      const success: ValidationSuccess = { isValid: true, reason: null };
+      return success;
+    }
+    const failure: ValidationFailure = {
+      isValid: false,
+      reason: formatIssues(issues),
+    };
+    return failure;
+  }
+
+  is(value: unknown): value is T {
+    return this.issues(value).length === 0;
+  }
+
+  // Returns a copy with a custom rule added, so string().minLength(1) does not change
+  // the string() validator it was created from
+  refine(predicate: (value: T) => boolean, message: string): this {
+    const copy: this = Object.create(Object.getPrototypeOf(this));
+    Object.assign(copy, this);
+    copy.rules = this.rules.concat([{ predicate, message }]);
+    return copy;
+  }
+
+  optional(): OptionalValidator<T> {
+    return new OptionalValidator(this);
+  }
+}
+
+// The type a validator checks for, e.g. Infer<typeof userValidator>
+export type Infer<V> = V extends Validator<infer T> ? T : never;
+
+export class OptionalValidator<T> extends Validator<T | undefined> {
+  // lets object() tell optional fields apart at the type level
+  readonly isOptional = true;
+
+  constructor(private inner: Validator<T>) {
+    super();
+  }
+
+  protected check(value: unknown, path: string): ValidationIssue[] {
+    return value === undefined ? [] : this.inner.issues(value, path);
+  }
+}
+
+// =====================
+// Primitives
+// =====================
+
+export class StringValidator extends Validator<string> {
+  protected check(value: unknown, path: string): ValidationIssue[] {
+    return typeof value === "string"
+      ? []
+      : [{ path, message: `expected string, got ${describe(value)}` }];
+  }
+
+  minLength(length: number): this {
+    return this.refine(
+      (s) => s.length >= length,
+      `must be at least ${length} characters long`
+    );
+  }
+
+  maxLength(length: number): this {
+    return this.refine(
+      (s) => s.length <= length,
+      `must be at most ${length} characters long`
+    );
+  }
+
+  pattern(regex: RegExp, message = `must match ${regex}`): this {
+    return this.refine((s) => regex.test(s), message);
+  }
+}
+
+export class NumberValidator extends Validator<number> {
+  protected check(value: unknown, path: string): ValidationIssue[] {
+    if (typeof value !== "number") {
+      return [{ path, message: `expected number, got ${describe(value)}` }];
+    }
+    return isNaN(value) ? [{ path, message: "expected number, got NaN" }] : [];
+  }
+
+  min(min: number): this {
+    return this.refine((n) => n >= min, `must be at least ${min}`);
+  }
+
+  max(max: number): this {
+    return this.refine((n) => n <= max, `must be at most ${max}`);
+  }
+
+  integer(): this {
+    return this.refine((n) => Number.isInteger(n), "must be an integer");
+  }
+}
+
+export class LiteralValidator<
+  L extends string | number | boolean | null
+> extends Validator<L> {
+  constructor(private values: L[]) {
+    super();
+  }
+
+  protected check(value: unknown, path: string): ValidationIssue[] {
+    if (this.values.indexOf(value as L) !== -1) return [];
+    const expected = this.values.map((v) => JSON.stringify(v)).join(" | ");
+    return [
+      { path, message: `expected ${expected}, got ${JSON.stringify(value)}` },
+    ];
+  }
+}
+
+// =====================
+// Combinators
+// =====================
+
+export class ArrayValidator<T> extends Validator<T[]> {
+  constructor(private item: Validator<T>) {
+    super();
+  }
+
+  protected check(value: unknown, path: string): ValidationIssue[] {
+    if (!Array.isArray(value)) {
+      return [{ path, message: `expected array, got ${describe(value)}` }];
+    }
+    let issues: ValidationIssue[] = [];
+    value.forEach((element, i) => {
+      issues = issues.concat(this.item.issues(element, `${path}[${i}]`));
+    });
+    return issues;
+  }
+}
+
+export type Shape = { [key: string]: Validator<any> };
+
+// Fields validated by an OptionalValidator become optional properties
+type OptionalKeys<S extends Shape> = {
+  [K in keyof S]: S[K] extends OptionalValidator<any> ? K : never;
+}[keyof S];
+type RequiredKeys<S extends Shape> = Exclude<keyof S, OptionalKeys<S>>;
+
+export type InferShape<S extends Shape> = {
+  [K in RequiredKeys<S>]: Infer<S[K]>;
+} &
+  { [K in OptionalKeys<S>]?: Infer<S[K]> };
+
+export class ObjectValidator<S extends Shape> extends Validator<InferShape<S>> {
+  constructor(private shape: S) {
+    super();
+  }
+
+  protected check(value: unknown, path: string): ValidationIssue[] {
+    if (typeof value !== "object" || value === null || Array.isArray(value)) {
+      return [{ path, message: `expected object, got ${describe(value)}` }];
+    }
+    const record = value as { [key: string]: unknown };
+    let issues: ValidationIssue[] = [];
+    for (const key of Object.keys(this.shape)) {
+      const fieldPath = path ? `${path}.${key}` : key;
+      if (!(key in record) && !(this.shape[key] instanceof OptionalValidator)) {
+        issues.push({ path: fieldPath, message: "is required" });
+        continue;
+      }
+      issues = issues.concat(this.shape[key].issues(record[key], fieldPath));
+    }
+    return issues;
+  }
+}
+
+// =====================
+// Factories
+// =====================
+
+export const string = () => new StringValidator();
+export const number = () => new NumberValidator();
+export const literal = <L extends string | number | boolean | null>(
+  ...values: L[]
+) => new LiteralValidator(values);
+export const array = <T>(item: Validator<T>) => new ArrayValidator(item);
+export const object = <S extends Shape>(shape: S) => new ObjectValidator(shape);
+export const optional = <T>(validator: Validator<T>) => validator.optional();
+
+// const mapConfig = object({
+//   lng: number().min(-180).max(180),
+//   lat: number().min(-90).max(90),
+//   tileSize: literal(8, 16, 32),
+//   label: optional(string().maxLength(20)),
+// });
+//
+// mapConfig.validate({ lng: -73.935242, lat: 40.73061, tileSize: 16 });
+// // { isValid: true, reason: null }
+// mapConfig.validate({ lng: 200, tileSize: 12 });
+// // { isValid: false, reason: "lng: must be at most 180; lat: is required; tileSize: expected 8 | 16 | 32, got 12" }
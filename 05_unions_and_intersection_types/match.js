@@ -0,0 +1,52 @@
+// ****** Match ******
+// =============================
+// Errors
+// =============================
+// Thrown when a value has a discriminant none of the cases know, which the types
+// rule out but data from outside the program (JSON, an older version) doesn't
+export class UnmatchedCaseError extends Error {
+    constructor(key, tag) {
+        super(`No case for ${String(key)} '${tag}'.`);
+        this.key = key;
+        this.tag = tag;
+        this.name = "UnmatchedCaseError";
+    }
+}
+// =============================
+// Matching
+// =============================
+export class Matcher {
+    constructor(value) {
+        this.value = value;
+    }
+    on(key, cases, otherwise) {
+        const tag = this.value[key];
+        if (Object.prototype.hasOwnProperty.call(cases, tag)) {
+            return cases[tag](this.value);
+        }
+        if (otherwise)
+            return otherwise(this.value);
+        throw new UnmatchedCaseError(key, tag);
+    }
+}
+export function match(value) {
+    return new Matcher(value);
+}
+// function logger5(s: NetworkState2): string {
+//   return match(s).on("state", {
+//     loading: () => "loading request",
+//     failed: (f) => `failed with code ${f.code}`,
+//     success: () => "got response",
+//     from_cache: (c) => `cached copy of ${c.id}`,
+//   });
+// }
+//
+// match(s).on("state", { failed: (f) => f.code }, () => 200); // number
+// match(s).on("state", { loading: () => "..." }); // error, failed, success and from_cache are missing
+//
+// function area(shape: Circle | Square): number {
+//   return match(shape).on("kind", {
+//     [ShapeKind.Circle]: (c) => Math.PI * c.radius ** 2,
+//     [ShapeKind.Square]: (s) => s.sideLength ** 2,
+//   });
+// }
@@ -0,0 +1,125 @@
+// ****** Match ******
+
+// logger4 makes its switch over `state` exhaustive with a default case that passes the
+// rest to assertNever, and every other function over NetworkState2 has to repeat that
+// switch. match(s).on("state", { loading: ..., failed: ..., ... }) takes one handler
+// per value of the discriminant instead: a missing value is a compile error, each
+// handler gets the member of the union it handles, and the result type is the union of
+// what the handlers return. Discriminants can be string literals or enum members, e.g.
+// `kind: ShapeKind.Circle` on Circle and Square in enums.ts.
+
+// =============================
+// Cases
+// =============================
+
+// Values a discriminant can have: string literals, numbers and enum members
+export type Tag = string | number;
+
+// The properties of T that can be matched on: "state" for NetworkState2
+export type DiscriminantKey<T> = {
+  [K in keyof T]-?: T[K] extends Tag ? K : never;
+}[keyof T];
+
+type TagOf<T, K extends keyof T> = Extract<T[K], Tag>;
+
+// Whether the case key V names one of Tags. A computed key ([ShapeKind.Circle],
+// [Level.Low]) can come through as the plain value turned into a string ("0", "LOW").
+type IsTag<V, Tags> = V extends Tags
+  ? true
+  : V extends `${Extract<Tags, string>}`
+  ? true
+  : V extends `${Extract<Tags, number>}`
+  ? true
+  : false;
+
+// The members of T whose T[K] is V
+type MemberOf<T, K extends keyof T, V> = T extends unknown
+  ? IsTag<V, T[K]> extends true
+    ? T
+    : never
+  : never;
+
+// One handler per value of T[K], called with the members of T that have that value.
+// R is what each handler returns and is inferred from `cases`, which leaves the handler
+// parameters to be typed by this map. Keys that aren't values of T[K] are typos and
+// only accept never.
+export type Cases<T, K extends keyof T, R> = {
+  [V in keyof R]: IsTag<V, TagOf<T, K>> extends true
+    ? (value: MemberOf<T, K, V>) => R[V]
+    : never;
+};
+
+// =============================
+// Errors
+// =============================
+
+// Thrown when a value has a discriminant none of the cases know, which the types
+// rule out but data from outside the program (JSON, an older version) doesn't
+export class UnmatchedCaseError extends Error {
+  name = "UnmatchedCaseError";
+
+  constructor(readonly key: PropertyKey, readonly tag: unknown) {
+    super(`No case for ${String(key)} '${tag}'.`);
+  }
+}
+
+// =============================
+// Matching
+// =============================
+
+export class Matcher<T> {
+  constructor(private readonly value: T) {}
+
+  // Every value of T[K] needs a handler
+  on<K extends DiscriminantKey<T>, R extends { [V in TagOf<T, K>]: unknown }>(
+    key: K,
+    cases: Cases<T, K, R>
+  ): R[keyof R];
+  // Values without a handler go to `otherwise`, which gets the members left over
+  on<
+    K extends DiscriminantKey<T>,
+    R extends { [V in TagOf<T, K>]?: unknown },
+    O
+  >(
+    key: K,
+    cases: Cases<T, K, R>,
+    otherwise: (value: Exclude<T, MemberOf<T, K, keyof R>>) => O
+  ): R[keyof R] | O;
+  on(
+    key: PropertyKey,
+    cases: unknown,
+    otherwise?: (value: any) => unknown
+  ): unknown {
+    const tag = (this.value as any)[key];
+    if (Object.prototype.hasOwnProperty.call(cases, tag)) {
+      return (cases as { [tag: string]: (value: T) => unknown })[tag](
+        this.value
+      );
+    }
+    if (otherwise) return otherwise(this.value);
+    throw new UnmatchedCaseError(key, tag);
+  }
+}
+
+export function match<T>(value: T): Matcher<T> {
+  return new Matcher(value);
+}
+
+// function logger5(s: NetworkState2): string {
+//   return match(s).on("state", {
+//     loading: () => "loading request",
+//     failed: (f) => `failed with code ${f.code}`,
+//     success: () => "got response",
+//     from_cache: (c) => `cached copy of ${c.id}`,
+//   });
+// }
+//
+// match(s).on("state", { failed: (f) => f.code }, () => 200); // number
+// match(s).on("state", { loading: () => "..." }); // error, failed, success and from_cache are missing
+//
+// function area(shape: Circle | Square): number {
+//   return match(shape).on("kind", {
+//     [ShapeKind.Circle]: (c) => Math.PI * c.radius ** 2,
+//     [ShapeKind.Square]: (s) => s.sideLength ** 2,
+//   });
+// }
@@ -0,0 +1,134 @@
+// ****** Network Client ******
+import { NetworkStateMachine } from "./network_state_machine";
+// NetworkFailedState only carries a numeric code, so failures that never got an HTTP
+// status still need one
+export const NETWORK_ERROR_CODE = 0; // the transport itself failed (DNS, refused, ...)
+export const TIMEOUT_CODE = 408; // aborted after `timeout` milliseconds
+export const MALFORMED_RESPONSE_CODE = 502; // body is not { title, duration, summary }
+export const fetchTransport = ({ url, method, headers, body, signal, }) => fetch(url, { method, headers, body, signal });
+export class MemoryResponseCache {
+    constructor() {
+        this.entries = new Map();
+    }
+    get(key) {
+        return this.entries.get(key);
+    }
+    set(key, response) {
+        this.entries.set(key, response);
+    }
+}
+export function isServerError(code) {
+    return code >= 500 && code < 600;
+}
+export function isNetworkResponse(value) {
+    const v = value;
+    return (typeof v === "object" &&
+        v !== null &&
+        typeof v.title === "string" &&
+        typeof v.duration === "number" &&
+        typeof v.summary === "string");
+}
+const defaultSleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+export class NetworkClient {
+    constructor(options = {}) {
+        this.transport = options.transport || fetchTransport;
+        this.retries = options.retries !== undefined ? options.retries : 2;
+        this.baseDelay = options.baseDelay !== undefined ? options.baseDelay : 100;
+        this.maxDelay = options.maxDelay !== undefined ? options.maxDelay : 5000;
+        this.timeout = options.timeout !== undefined ? options.timeout : 10000;
+        this.retryOn = options.retryOn || isServerError;
+        this.cache = options.cache;
+        this.cachePolicy = options.cachePolicy || "network-first";
+        this.sleep = options.sleep || defaultSleep;
+    }
+    // Delay before retry number `retry` (0 based): baseDelay * 2^retry, capped at maxDelay
+    backoff(retry) {
+        return Math.min(this.baseDelay * Math.pow(2, retry), this.maxDelay);
+    }
+    // Resolves with the final state, it never rejects. An onState listener that throws
+    // doesn't stop the request either; its error is logged and the next state still
+    // comes.
+    async request(url, init = {}) {
+        const method = (init.method || "GET").toUpperCase();
+        const cacheKey = `${method} ${url}`;
+        const machine = new NetworkStateMachine({ state: "loading" });
+        if (init.onState) {
+            const onState = init.onState;
+            const notify = (state) => {
+                try {
+                    onState(state);
+                }
+                catch (err) {
+                    console.error(err);
+                }
+            };
+            notify(machine.state);
+            machine.subscribe(({ to }) => notify(to));
+        }
+        const cached = this.cache && this.cache.get(cacheKey);
+        if (cached && this.cachePolicy === "cache-first") {
+            return machine.fromCache(cacheKey, cached);
+        }
+        let attempt = await this.attempt(url, method, init);
+        for (let retry = 0; typeof attempt === "number" &&
+            retry < this.retries &&
+            this.retryOn(attempt); retry++) {
+            await this.sleep(this.backoff(retry));
+            attempt = await this.attempt(url, method, init);
+        }
+        if (typeof attempt !== "number") {
+            if (this.cache && method === "GET")
+                this.cache.set(cacheKey, attempt);
+            return machine.succeed(attempt);
+        }
+        if (cached)
+            return machine.fromCache(cacheKey, cached);
+        return machine.fail(attempt);
+    }
+    // Settles after `timeout` milliseconds at the latest, even with a transport that
+    // ignores the abort signal
+    async attempt(url, method, init) {
+        const controller = new AbortController();
+        const response = this.send(url, method, init, controller.signal);
+        if (!(this.timeout > 0))
+            return response;
+        let timer;
+        const expired = new Promise((resolve) => {
+            timer = setTimeout(() => {
+                controller.abort();
+                resolve(TIMEOUT_CODE);
+            }, this.timeout);
+        });
+        try {
+            return await Promise.race([response, expired]);
+        }
+        finally {
+            clearTimeout(timer);
+        }
+    }
+    async send(url, method, init, signal) {
+        try {
+            const res = await this.transport({
+                url,
+                method,
+                headers: init.headers || {},
+                body: init.body,
+                signal,
+            });
+            if (res.status < 200 || res.status >= 300)
+                return res.status;
+            const body = await res.json();
+            return isNetworkResponse(body) ? body : MALFORMED_RESPONSE_CODE;
+        }
+        catch (err) {
+            if (signal.aborted)
+                return TIMEOUT_CODE;
+            if (err instanceof SyntaxError)
+                return MALFORMED_RESPONSE_CODE;
+            return NETWORK_ERROR_CODE;
+        }
+    }
+}
+// const client = new NetworkClient({ retries: 3, timeout: 2000 });
+// client.request("/api/episodes/1", { onState: (s) => console.log(logger4(s)) });
+// "loading request", then "got response" / "failed with code 503" / "cashed"
@@ -0,0 +1,252 @@
+// ****** Network Client ******
+
+// A small HTTP wrapper that reports its progress as NetworkState2 values. Every request
+// emits "loading" first and then ends in exactly one of "success", "failed" or
+// "from_cache". The states go through a NetworkStateMachine, so the order of the
+// emitted states is always a legal one.
+
+import type {
+  NetworkState2,
+  NetworkSuccessState,
+} from "./unions_and_intersection_types";
+import { NetworkStateMachine } from "./network_state_machine";
+
+type NetworkResponse = NetworkSuccessState["response"];
+
+// NetworkFailedState only carries a numeric code, so failures that never got an HTTP
+// status still need one
+export const NETWORK_ERROR_CODE = 0; // the transport itself failed (DNS, refused, ...)
+export const TIMEOUT_CODE = 408; // aborted after `timeout` milliseconds
+export const MALFORMED_RESPONSE_CODE = 502; // body is not { title, duration, summary }
+
+// =============================
+// Transport
+// =============================
+
+// The transport is the only part that talks to the network, swap it for a stub in tests.
+// Its shape is a subset of fetch, so a fetch Response can be returned as is.
+export interface TransportRequest {
+  url: string;
+  method: string;
+  headers: { [name: string]: string };
+  body?: string;
+  signal: AbortSignal;
+}
+
+export interface TransportResponse {
+  status: number;
+  json(): Promise<unknown>;
+}
+
+export type Transport = (
+  request: TransportRequest
+) => Promise<TransportResponse>;
+
+export const fetchTransport: Transport = ({
+  url,
+  method,
+  headers,
+  body,
+  signal,
+}) => fetch(url, { method, headers, body, signal });
+
+// =============================
+// Cache
+// =============================
+
+export interface ResponseCache {
+  get(key: string): NetworkResponse | undefined;
+  set(key: string, response: NetworkResponse): void;
+}
+
+export class MemoryResponseCache implements ResponseCache {
+  private entries = new Map<string, NetworkResponse>();
+
+  get(key: string) {
+    return this.entries.get(key);
+  }
+
+  set(key: string, response: NetworkResponse) {
+    this.entries.set(key, response);
+  }
+}
+
+// "network-first" falls back to the cached copy when the request fails,
+// "cache-first" answers from the cache without touching the network
+export type CachePolicy = "network-first" | "cache-first";
+
+// =============================
+// Client
+// =============================
+
+export interface NetworkClientOptions {
+  transport?: Transport;
+  retries?: number; // retries after the first attempt
+  baseDelay?: number; // ms, doubled after every retry
+  maxDelay?: number; // ms
+  timeout?: number; // ms per attempt, 0 disables it
+  retryOn?: (code: number) => boolean;
+  cache?: ResponseCache;
+  cachePolicy?: CachePolicy;
+  sleep?: (ms: number) => Promise<void>;
+}
+
+export interface NetworkRequestInit {
+  method?: string;
+  headers?: { [name: string]: string };
+  body?: string;
+  onState?: (state: NetworkState2) => void;
+}
+
+export function isServerError(code: number): boolean {
+  return code >= 500 && code < 600;
+}
+
+export function isNetworkResponse(value: unknown): value is NetworkResponse {
+  const v = value as NetworkResponse;
+  return (
+    typeof v === "object" &&
+    v !== null &&
+    typeof v.title === "string" &&
+    typeof v.duration === "number" &&
+    typeof v.summary === "string"
+  );
+}
+
+const defaultSleep = (ms: number) =>
+  new Promise<void>((resolve) => setTimeout(resolve, ms));
+
+// Result of a single attempt: either a usable response or a failure code
+type Attempt = NetworkResponse | number;
+
+export class NetworkClient {
+  private transport: Transport;
+  private retries: number;
+  private baseDelay: number;
+  private maxDelay: number;
+  private timeout: number;
+  private retryOn: (code: number) => boolean;
+  private cache: ResponseCache | undefined;
+  private cachePolicy: CachePolicy;
+  private sleep: (ms: number) => Promise<void>;
+
+  constructor(options: NetworkClientOptions = {}) {
+    this.transport = options.transport || fetchTransport;
+    this.retries = options.retries !== undefined ? options.retries : 2;
+    this.baseDelay = options.baseDelay !== undefined ? options.baseDelay : 100;
+    this.maxDelay = options.maxDelay !== undefined ? options.maxDelay : 5000;
+    this.timeout = options.timeout !== undefined ? options.timeout : 10000;
+    this.retryOn = options.retryOn || isServerError;
+    this.cache = options.cache;
+    this.cachePolicy = options.cachePolicy || "network-first";
+    this.sleep = options.sleep || defaultSleep;
+  }
+
+  // Delay before retry number `retry` (0 based): baseDelay * 2^retry, capped at maxDelay
+  backoff(retry: number): number {
+    return Math.min(this.baseDelay * Math.pow(2, retry), this.maxDelay);
+  }
+
+  // Resolves with the final state, it never rejects. An onState listener that throws
+  // doesn't stop the request either; its error is logged and the next state still
+  // comes.
+  async request(
+    url: string,
+    init: NetworkRequestInit = {}
+  ): Promise<NetworkState2> {
+    const method = (init.method || "GET").toUpperCase();
+    const cacheKey = `${method} ${url}`;
+    const machine = new NetworkStateMachine({ state: "loading" });
+
+    if (init.onState) {
+      const onState = init.onState;
+      const notify = (state: NetworkState2) => {
+        try {
+          onState(state);
+        } catch (err) {
+          console.error(err);
+        }
+      };
+      notify(machine.state);
+      machine.subscribe(({ to }) => notify(to));
+    }
+
+    const cached = this.cache && this.cache.get(cacheKey);
+    if (cached && this.cachePolicy === "cache-first") {
+      return machine.fromCache(cacheKey, cached);
+    }
+
+    let attempt = await this.attempt(url, method, init);
+    for (
+      let retry = 0;
+      typeof attempt === "number" &&
+      retry < this.retries &&
+      this.retryOn(attempt);
+      retry++
+    ) {
+      await this.sleep(this.backoff(retry));
+      attempt = await this.attempt(url, method, init);
+    }
+
+    if (typeof attempt !== "number") {
+      if (this.cache && method === "GET") this.cache.set(cacheKey, attempt);
+      return machine.succeed(attempt);
+    }
+    if (cached) return machine.fromCache(cacheKey, cached);
+    return machine.fail(attempt);
+  }
+
+  // Settles after `timeout` milliseconds at the latest, even with a transport that
+  // ignores the abort signal
+  private async attempt(
+    url: string,
+    method: string,
+    init: NetworkRequestInit
+  ): Promise<Attempt> {
+    const controller = new AbortController();
+    const response = this.send(url, method, init, controller.signal);
+    if (!(this.timeout > 0)) return response;
+
+    let timer: ReturnType<typeof setTimeout> | undefined;
+    const expired = new Promise<Attempt>((resolve) => {
+      timer = setTimeout(() => {
+        controller.abort();
+        resolve(TIMEOUT_CODE);
+      }, this.timeout);
+    });
+    try {
+      return await Promise.race([response, expired]);
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  private async send(
+    url: string,
+    method: string,
+    init: NetworkRequestInit,
+    signal: AbortSignal
+  ): Promise<Attempt> {
+    try {
+      const res = await this.transport({
+        url,
+        method,
+        headers: init.headers || {},
+        body: init.body,
+        signal,
+      });
+      if (res.status < 200 || res.status >= 300) return res.status;
+
+      const body = await res.json();
+      return isNetworkResponse(body) ? body : MALFORMED_RESPONSE_CODE;
+    } catch (err) {
+      if (signal.aborted) return TIMEOUT_CODE;
+      if (err instanceof SyntaxError) return MALFORMED_RESPONSE_CODE;
+      return NETWORK_ERROR_CODE;
+    }
+  }
+}
+
+// const client = new NetworkClient({ retries: 3, timeout: 2000 });
+// client.request("/api/episodes/1", { onState: (s) => console.log(logger4(s)) });
+// "loading request", then "got response" / "failed with code 503" / "cashed"
@@ -0,0 +1,83 @@
+// ****** Network State Machine ******
+// =============================
+// Transitions
+// =============================
+// For every state, the states it is allowed to move to. Typing the table with a mapped
+// type over NetworkStatus means adding a new member to NetworkState2 is a compile error
+// here until its transitions are declared.
+export const NETWORK_TRANSITIONS = {
+    loading: ["success", "failed", "from_cache"],
+    success: ["loading"],
+    failed: ["loading"],
+    from_cache: ["loading", "success", "failed"], // revalidate the cached copy
+};
+export function isLegalTransition(from, to) {
+    return NETWORK_TRANSITIONS[from].indexOf(to) !== -1;
+}
+// =============================
+// Errors
+// =============================
+export class InvalidTransitionError extends Error {
+    constructor(from, to) {
+        super(`Cannot transition from '${from}' to '${to}', expected one of: ${NETWORK_TRANSITIONS[from].join(", ")}.`);
+        this.from = from;
+        this.to = to;
+        this.name = "InvalidTransitionError";
+    }
+}
+export class NetworkStateMachine {
+    constructor(current = { state: "loading" }) {
+        this.current = current;
+        this.listeners = [];
+    }
+    get state() {
+        return this.current;
+    }
+    get status() {
+        return this.current.state;
+    }
+    can(to) {
+        return isLegalTransition(this.current.state, to);
+    }
+    // Throws an InvalidTransitionError (and leaves the current state untouched) when
+    // the move is not in NETWORK_TRANSITIONS
+    transition(next) {
+        const from = this.current;
+        if (!isLegalTransition(from.state, next.state)) {
+            throw new InvalidTransitionError(from.state, next.state);
+        }
+        this.current = next;
+        const transition = { from, to: next };
+        // copy, so listeners can unsubscribe while being notified
+        for (const listener of this.listeners.slice())
+            listener(transition);
+        return next;
+    }
+    load() {
+        return this.transition({ state: "loading" });
+    }
+    succeed(response) {
+        return this.transition({ state: "success", response });
+    }
+    fail(code) {
+        return this.transition({ state: "failed", code });
+    }
+    fromCache(id, response) {
+        return this.transition({ state: "from_cache", id, response });
+    }
+    // Returns a function that removes the listener again
+    subscribe(listener) {
+        this.listeners.push(listener);
+        return () => {
+            const index = this.listeners.indexOf(listener);
+            if (index !== -1)
+                this.listeners.splice(index, 1);
+        };
+    }
+}
+// const machine = new NetworkStateMachine();
+// machine.subscribe(({ to }) => console.log(logger4(to)));
+// machine.fail(503); // "failed with code 503"
+// machine.load(); // retry
+// machine.fail(404);
+// machine.succeed(...); // InvalidTransitionError: Cannot transition from 'failed' to 'success'
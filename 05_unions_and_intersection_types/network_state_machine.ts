@@ -0,0 +1,131 @@
+// ****** Network State Machine ******
+
+// logger to logger4 only print a NetworkState2. Here the same union drives a state
+// machine: it holds the current state, only allows legal transitions between the
+// `state` discriminants and tells its subscribers about every transition.
+
+import type {
+  NetworkFailedState,
+  NetworkFromCachedState,
+  NetworkState2,
+  NetworkSuccessState,
+} from "./unions_and_intersection_types";
+
+// "loading" | "failed" | "success" | "from_cache"
+export type NetworkStatus = NetworkState2["state"];
+
+// =============================
+// Transitions
+// =============================
+
+// For every state, the states it is allowed to move to. Typing the table with a mapped
+// type over NetworkStatus means adding a new member to NetworkState2 is a compile error
+// here until its transitions are declared.
+export const NETWORK_TRANSITIONS: { [S in NetworkStatus]: NetworkStatus[] } = {
+  loading: ["success", "failed", "from_cache"],
+  success: ["loading"], // refetch
+  failed: ["loading"], // retry
+  from_cache: ["loading", "success", "failed"], // revalidate the cached copy
+};
+
+export function isLegalTransition(
+  from: NetworkStatus,
+  to: NetworkStatus
+): boolean {
+  return NETWORK_TRANSITIONS[from].indexOf(to) !== -1;
+}
+
+// =============================
+// Errors
+// =============================
+
+export class InvalidTransitionError extends Error {
+  name = "InvalidTransitionError";
+
+  constructor(readonly from: NetworkStatus, readonly to: NetworkStatus) {
+    super(
+      `Cannot transition from '${from}' to '${to}', expected one of: ${NETWORK_TRANSITIONS[
+        from
+      ].join(", ")}.`
+    );
+  }
+}
+
+// =============================
+// State machine
+// =============================
+
+export interface NetworkTransition {
+  from: NetworkState2;
+  to: NetworkState2;
+}
+
+export type NetworkTransitionListener = (transition: NetworkTransition) => void;
+
+export class NetworkStateMachine {
+  private listeners: NetworkTransitionListener[] = [];
+
+  constructor(private current: NetworkState2 = { state: "loading" }) {}
+
+  get state(): NetworkState2 {
+    return this.current;
+  }
+
+  get status(): NetworkStatus {
+    return this.current.state;
+  }
+
+  can(to: NetworkStatus): boolean {
+    return isLegalTransition(this.current.state, to);
+  }
+
+  // Throws an InvalidTransitionError (and leaves the current state untouched) when
+  // the move is not in NETWORK_TRANSITIONS
+  transition(next: NetworkState2): NetworkState2 {
+    const from = this.current;
+    if (!isLegalTransition(from.state, next.state)) {
+      throw new InvalidTransitionError(from.state, next.state);
+    }
+
+    this.current = next;
+    const transition: NetworkTransition = { from, to: next };
+    // copy, so listeners can unsubscribe while being notified
+    for (const listener of this.listeners.slice()) listener(transition);
+    return next;
+  }
+
+  load(): NetworkState2 {
+    return this.transition({ state: "loading" });
+  }
+
+  succeed(response: NetworkSuccessState["response"]): NetworkState2 {
+    return this.transition({ state: "success", response });
+  }
+
+  fail(code: NetworkFailedState["code"]): NetworkState2 {
+    return this.transition({ state: "failed", code });
+  }
+
+  fromCache(
+    id: NetworkFromCachedState["id"],
+    response: NetworkFromCachedState["response"]
+  ): NetworkState2 {
+    return this.transition({ state: "from_cache", id, response });
+  }
+
+  // Returns a function that removes the listener again
+  subscribe(listener: NetworkTransitionListener): () => void {
+    this.listeners.push(listener);
+    return () => {
+      const index = this.listeners.indexOf(listener);
+      if (index !== -1) this.listeners.splice(index, 1);
+    };
+  }
+}
+
+// const machine = new NetworkStateMachine();
+// machine.subscribe(({ to }) => console.log(logger4(to)));
+// machine.fail(503); // "failed with code 503"
+// machine.load(); // retry
+// machine.fail(404);
+// machine.succeed(...); // InvalidTransitionError: Cannot transition from 'failed' to 'success'
@@ -0,0 +1,108 @@
+// ****** Response Decoder ******
+// What a value is, for "expected ..., got ..." messages
+export function describe(value) {
+    if (value === null)
+        return "null";
+    if (Array.isArray(value))
+        return "array";
+    return typeof value;
+}
+function mismatch(expected, value, path, issues) {
+    issues.push({
+        path,
+        message: `expected ${expected}, got ${describe(value)}`,
+    });
+    return false;
+}
+function primitive(type) {
+    return (value, path, issues) => typeof value === type || mismatch(type, value, path, issues);
+}
+export const string = primitive("string");
+export const number = primitive("number");
+export const boolean = primitive("boolean");
+export function optional(decoder) {
+    return (value, path, issues) => value === undefined || decoder(value, path, issues);
+}
+export function arrayOf(item) {
+    return (value, path, issues) => {
+        if (!Array.isArray(value))
+            return mismatch("array", value, path, issues);
+        let valid = true;
+        value.forEach((element, i) => {
+            // no short-circuit, every element gets checked
+            valid = item(element, `${path}[${i}]`, issues) && valid;
+        });
+        return valid;
+    };
+}
+export function object(fields) {
+    return (value, path, issues) => {
+        if (typeof value !== "object" || value === null || Array.isArray(value)) {
+            return mismatch("object", value, path, issues);
+        }
+        const record = value;
+        let valid = true;
+        for (const key of Object.keys(fields)) {
+            const decoder = fields[key];
+            const fieldPath = path ? `${path}.${key}` : key;
+            valid = decoder(record[key], fieldPath, issues) && valid;
+        }
+        return valid;
+    };
+}
+// Schemas for the payloads declared in unions_and_intersection_types.ts
+export const artworksData = object({
+    artworks: arrayOf(object({ title: string })),
+});
+export const artistsData = object({
+    artists: arrayOf(object({ name: string })),
+});
+const errorHandling = object({
+    success: boolean,
+    error: optional(object({ message: string })),
+});
+// =============================
+// Decoding
+// =============================
+function failure(message, issues = []) {
+    return { status: "error", message, issues };
+}
+// `raw` is either the response text or the already parsed JSON value
+export function decodeResponse(raw, payload) {
+    let json = raw;
+    if (typeof raw === "string") {
+        try {
+            json = JSON.parse(raw);
+        }
+        catch (err) {
+            return failure(`Response is not valid JSON: ${err.message}`);
+        }
+    }
+    // The ErrorHandling part comes first: when the server reports an error the payload
+    // is usually missing, and its message is more useful than a list of missing fields
+    const envelopeIssues = [];
+    if (!errorHandling(json, "", envelopeIssues)) {
+        return failure("Response does not match the ErrorHandling contract", envelopeIssues);
+    }
+    if (json.error)
+        return failure(json.error.message);
+    if (!json.success)
+        return failure("Request was not successful");
+    const payloadIssues = [];
+    if (!payload(json, "", payloadIssues)) {
+        return failure("Response payload has the wrong shape", payloadIssues);
+    }
+    return { status: "ok", data: json };
+}
+// Binds a payload schema once, so every endpoint gets a one-argument decoder
+export function createResponseDecoder(payload) {
+    return (raw) => decodeResponse(raw, payload);
+}
+export const decodeArtworksResponse = createResponseDecoder(artworksData);
+export const decodeArtistsResponse = createResponseDecoder(artistsData);
+// const result = decodeArtistsResponse(await res.text());
+// if (result.status === "error") {
+//   console.error(result.message, result.issues);
+// } else {
+//   console.log(result.data.artists);
+// }
@@ -0,0 +1,174 @@
+// ****** Response Decoder ******
+
+// ArtworksResponse and ArtistsResponse intersect a payload with ErrorHandling, and
+// handleArtistsResponse has to check `error` by hand. The decoder below does that check
+// once for every endpoint: it takes raw JSON plus a schema for the payload and returns a
+// Result which is either the typed data or the error message (with the paths of every
+// field that did not match when the payload has the wrong shape).
+
+import type {
+  ArtistsData,
+  ArtworksData,
+  ErrorHandling,
+} from "./unions_and_intersection_types";
+
+// =============================
+// Result
+// =============================
+
+export interface DecodeIssue {
+  path: string; // e.g. "artworks[2].title", "" is the response itself
+  message: string;
+}
+
+export type Result<T> =
+  | { status: "ok"; data: T }
+  | { status: "error"; message: string; issues: DecodeIssue[] };
+
+// =============================
+// Payload schemas
+// =============================
+
+// A decoder is a type guard that also reports why a value is not a T: it pushes one
+// issue per mismatching field into `issues`
+export type Decoder<T> = (
+  value: unknown,
+  path: string,
+  issues: DecodeIssue[]
+) => value is T;
+
+// What a value is, for "expected ..., got ..." messages
+export function describe(value: unknown): string {
+  if (value === null) return "null";
+  if (Array.isArray(value)) return "array";
+  return typeof value;
+}
+
+function mismatch(
+  expected: string,
+  value: unknown,
+  path: string,
+  issues: DecodeIssue[]
+): false {
+  issues.push({
+    path,
+    message: `expected ${expected}, got ${describe(value)}`,
+  });
+  return false;
+}
+
+function primitive<T>(type: string): Decoder<T> {
+  return (value, path, issues): value is T =>
+    typeof value === type || mismatch(type, value, path, issues);
+}
+
+export const string = primitive<string>("string");
+export const number = primitive<number>("number");
+export const boolean = primitive<boolean>("boolean");
+
+export function optional<T>(decoder: Decoder<T>): Decoder<T | undefined> {
+  return (value, path, issues): value is T | undefined =>
+    value === undefined || decoder(value, path, issues);
+}
+
+export function arrayOf<T>(item: Decoder<T>): Decoder<T[]> {
+  return (value, path, issues): value is T[] => {
+    if (!Array.isArray(value)) return mismatch("array", value, path, issues);
+    let valid = true;
+    value.forEach((element, i) => {
+      // no short-circuit, every element gets checked
+      valid = item(element, `${path}[${i}]`, issues) && valid;
+    });
+    return valid;
+  };
+}
+
+export function object<T>(
+  fields: { [K in keyof T]: Decoder<T[K]> }
+): Decoder<T> {
+  return (value, path, issues): value is T => {
+    if (typeof value !== "object" || value === null || Array.isArray(value)) {
+      return mismatch("object", value, path, issues);
+    }
+    const record = value as { [key: string]: unknown };
+    let valid = true;
+    for (const key of Object.keys(fields)) {
+      const decoder: Decoder<unknown> = (fields as any)[key];
+      const fieldPath = path ? `${path}.${key}` : key;
+      valid = decoder(record[key], fieldPath, issues) && valid;
+    }
+    return valid;
+  };
+}
+
+// Schemas for the payloads declared in unions_and_intersection_types.ts
+export const artworksData: Decoder<ArtworksData> = object({
+  artworks: arrayOf(object({ title: string })),
+});
+
+export const artistsData: Decoder<ArtistsData> = object({
+  artists: arrayOf(object({ name: string })),
+});
+
+const errorHandling: Decoder<ErrorHandling> = object({
+  success: boolean,
+  error: optional(object({ message: string })),
+});
+
+// =============================
+// Decoding
+// =============================
+
+function failure<T>(message: string, issues: DecodeIssue[] = []): Result<T> {
+  return { status: "error", message, issues };
+}
+
+// `raw` is either the response text or the already parsed JSON value
+export function decodeResponse<T>(
+  raw: unknown,
+  payload: Decoder<T>
+): Result<T> {
+  let json = raw;
+  if (typeof raw === "string") {
+    try {
+      json = JSON.parse(raw);
+    } catch (err) {
+      return failure(`Response is not valid JSON: ${err.message}`);
+    }
+  }
+
+  // The ErrorHandling part comes first: when the server reports an error the payload
+  // is usually missing, and its message is more useful than a list of missing fields
+  const envelopeIssues: DecodeIssue[] = [];
+  if (!errorHandling(json, "", envelopeIssues)) {
+    return failure(
+      "Response does not match the ErrorHandling contract",
+      envelopeIssues
+    );
+  }
+  if (json.error) return failure(json.error.message);
+  if (!json.success) return failure("Request was not successful");
+
+  const payloadIssues: DecodeIssue[] = [];
+  if (!payload(json, "", payloadIssues)) {
+    return failure("Response payload has the wrong shape", payloadIssues);
+  }
+  return { status: "ok", data: json };
+}
+
+// Binds a payload schema once, so every endpoint gets a one-argument decoder
+export function createResponseDecoder<T>(
+  payload: Decoder<T>
+): (raw: unknown) => Result<T> {
+  return (raw) => decodeResponse(raw, payload);
+}
+
+export const decodeArtworksResponse = createResponseDecoder(artworksData);
+export const decodeArtistsResponse = createResponseDecoder(artistsData);
+
+// const result = decodeArtistsResponse(await res.text());
+// if (result.status === "error") {
+//   console.error(result.message, result.issues);
+// } else {
+//   console.log(result.data.artists);
+// }
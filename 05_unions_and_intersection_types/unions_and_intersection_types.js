@@ -124,3 +124,4 @@ const handleArtistsResponse = (response) => {
     }
     console.log(response.artists);
 };
+export {};
@@ -78,11 +78,11 @@ pet.layEggs();
 
 // For example, we’re going to create a union of three types which have a single shared field.
 
-type NetworkLoadingState = {
+export type NetworkLoadingState = {
   state: "loading";
 };
 
-type NetworkSuccessState = {
+export type NetworkSuccessState = {
   state: "success";
   response: {
     title: string;
@@ -91,7 +91,7 @@ type NetworkSuccessState = {
   };
 };
 
-type NetworkFailedState = {
+export type NetworkFailedState = {
   state: "failed";
   code: number;
 };
@@ -145,13 +145,13 @@ function logger(state: NetworkState): string {
 
 // For example, if we add NetworkFromCachedState to NetworkState, we need to update
 // logger as well:
-type NetworkFromCachedState = {
+export type NetworkFromCachedState = {
   state: "from_cache";
   id: string;
   response: NetworkSuccessState["response"];
 };
 
-type NetworkState2 =
+export type NetworkState2 =
   | NetworkLoadingState
   | NetworkFailedState
   | NetworkSuccessState
@@ -247,24 +247,24 @@ function logger4(s: NetworkState2): string {
 // separate out the error handling into its own type which is merged with types which
 // correspond to a single response type.
 
-interface ErrorHandling {
+export interface ErrorHandling {
   success: boolean;
   error?: { message: string };
 }
 
-interface ArtworksData {
+export interface ArtworksData {
   artworks: { title: string }[];
 }
 
-interface ArtistsData {
+export interface ArtistsData {
   artists: { name: string }[];
 }
 
 // These interfaces are composed to have
 // consistent error handling, and their own data.
 
-type ArtworksResponse = ArtworksData & ErrorHandling;
-type ArtistsResponse = ArtistsData & ErrorHandling;
+export type ArtworksResponse = ArtworksData & ErrorHandling;
+export type ArtistsResponse = ArtistsData & ErrorHandling;
 
 const handleArtistsResponse = (response: ArtistsResponse) => {
   if (response.error) {
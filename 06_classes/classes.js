@@ -1,5 +1,6 @@
 // ****** Classes ******
 // Traditional JavaScript uses functions and prototype-based inheritance to build up reusable components
+import { Department } from "./department";
 // ==========================
 // Classes
 // ==========================
@@ -276,14 +277,10 @@ class Animal6 {
 // Both define the signature of a method without including a method body.
 // However, abstract methods must include the abstract keyword and may optionally
 // include access modifiers.
-class Department {
-    constructor(name) {
-        this.name = name;
-    }
-    printName() {
-        console.log("Department name: " + this.name);
-    }
-}
+// Department is declared in department.ts, where department_registry.ts extends it too.
+// It implements printName() and leaves printMeeting() abstract:
+// abstract printMeeting(): void; // must be implemented in derived classes
+export { Department };
 class AccountingDepartment extends Department {
     constructor() {
         super("Accounting and Auditing"); // constructors in derived classes must call super()
@@ -305,6 +302,6 @@ department.printMeeting();
 // ==========================
 // Using a class as an interface
 // ==========================
-class Point {
+export class Point {
 }
 let point3d = { x: 1, y: 2, z: 3 };
@@ -2,6 +2,8 @@
 
 // Traditional JavaScript uses functions and prototype-based inheritance to build up reusable components
 
+import { Department } from "./department";
+
 // ==========================
 // Classes
 // ==========================
@@ -382,15 +384,10 @@ abstract class Animal6 {
 // However, abstract methods must include the abstract keyword and may optionally
 // include access modifiers.
 
-abstract class Department {
-  constructor(public name: string) {}
-
-  printName(): void {
-    console.log("Department name: " + this.name);
-  }
-
-  abstract printMeeting(): void; // must be implemented in derived classes
-}
+// Department is declared in department.ts, where department_registry.ts extends it too.
+// It implements printName() and leaves printMeeting() abstract:
+// abstract printMeeting(): void; // must be implemented in derived classes
+export { Department };
 
 class AccountingDepartment extends Department {
   constructor() {
@@ -419,12 +416,12 @@ department.printMeeting();
 // Using a class as an interface
 // ==========================
 
-class Point {
+export class Point {
   x: number;
   y: number;
 }
 
-interface Point3d extends Point {
+export interface Point3d extends Point {
   z: number;
 }
 
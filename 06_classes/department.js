@@ -0,0 +1,11 @@
+// ****** Department ******
+// Department, the abstract class from classes.ts. ScheduledDepartment in
+// department_registry.ts extends it and derives printMeeting from a meeting schedule.
+export class Department {
+    constructor(name) {
+        this.name = name;
+    }
+    printName() {
+        console.log("Department name: " + this.name);
+    }
+}
@@ -0,0 +1,14 @@
+// ****** Department ******
+
+// Department, the abstract class from classes.ts. ScheduledDepartment in
+// department_registry.ts extends it and derives printMeeting from a meeting schedule.
+
+export abstract class Department {
+  constructor(public name: string) {}
+
+  printName(): void {
+    console.log("Department name: " + this.name);
+  }
+
+  abstract printMeeting(): void; // must be implemented in derived classes
+}
@@ -0,0 +1,351 @@
+// ****** Department Registry ******
+
+// AccountingDepartment in classes.ts hard-codes its meeting in printMeeting ("each Monday
+// at 10am"). Here a department declares its meeting schedule as data instead, registers
+// itself with a DepartmentRegistry, and the registry turns the schedules of all
+// departments into a list of upcoming meetings or an iCalendar (.ics) file.
+
+// All times are local wall-clock times, the same way "10am" is meant in printMeeting.
+
+import { Department } from "./department";
+
+// ==========================
+// Schedules
+// ==========================
+
+export type Weekday =
+  | "sunday"
+  | "monday"
+  | "tuesday"
+  | "wednesday"
+  | "thursday"
+  | "friday"
+  | "saturday";
+
+const WEEKDAYS: Weekday[] = [
+  "sunday",
+  "monday",
+  "tuesday",
+  "wednesday",
+  "thursday",
+  "friday",
+  "saturday",
+];
+
+// Either a weekday and a "HH:MM" time, or a five-field cron rule
+// ("minute hour day-of-month month day-of-week", e.g. "0 10 * * 1" for Mondays at 10am)
+export type MeetingSchedule = (
+  | { weekday: Weekday; time: string }
+  | { cron: string }
+) & { durationMinutes?: number };
+
+interface CronRule {
+  minutes: number[];
+  hours: number[];
+  daysOfMonth: number[];
+  months: number[]; // 1-12
+  daysOfWeek: number[]; // 0-6, Sunday is 0
+  anyDayOfMonth: boolean;
+  anyDayOfWeek: boolean;
+}
+
+function parseTime(time: string): { hour: number; minute: number } {
+  const match = /^(\d{1,2}):(\d{2})$/.exec(time.trim());
+  const hour = match ? Number(match[1]) : NaN;
+  const minute = match ? Number(match[2]) : NaN;
+  if (!(hour >= 0 && hour <= 23 && minute >= 0 && minute <= 59)) {
+    throw new Error(`Invalid meeting time '${time}', expected HH:MM.`);
+  }
+  return { hour, minute };
+}
+
+function range(from: number, to: number, step = 1): number[] {
+  const values: number[] = [];
+  for (let i = from; i <= to; i += step) values.push(i);
+  return values;
+}
+
+// One cron field: "*", "5", "1-5", "*/15", "1-31/2" or a comma separated list of those
+function parseCronField(field: string, min: number, max: number): number[] {
+  const values: number[] = [];
+  for (const part of field.split(",")) {
+    const match = /^(\*|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/.exec(part);
+    if (!match) throw new Error(`Invalid cron field '${field}'.`);
+
+    const from = match[1] === "*" ? min : Number(match[2]);
+    const to =
+      match[1] === "*" ? max : match[3] !== undefined ? Number(match[3]) : from;
+    const step = match[4] !== undefined ? Number(match[4]) : 1;
+    if (from < min || to > max || from > to || step < 1) {
+      throw new Error(`Cron field '${field}' is out of range ${min}-${max}.`);
+    }
+    for (const value of range(from, to, step)) {
+      if (values.indexOf(value) === -1) values.push(value);
+    }
+  }
+  return values.sort((a, b) => a - b);
+}
+
+export function parseCron(expression: string): CronRule {
+  const fields = expression.trim().split(/\s+/);
+  if (fields.length !== 5) {
+    throw new Error(`Cron rule '${expression}' must have 5 fields.`);
+  }
+  const [minute, hour, dayOfMonth, month, dayOfWeek] = fields;
+  return {
+    minutes: parseCronField(minute, 0, 59),
+    hours: parseCronField(hour, 0, 23),
+    daysOfMonth: parseCronField(dayOfMonth, 1, 31),
+    months: parseCronField(month, 1, 12),
+    // 7 is Sunday as well
+    daysOfWeek: parseCronField(dayOfWeek, 0, 7).map((d) => d % 7),
+    anyDayOfMonth: dayOfMonth === "*",
+    anyDayOfWeek: dayOfWeek === "*",
+  };
+}
+
+function toCronRule(schedule: MeetingSchedule): CronRule {
+  if ("cron" in schedule) return parseCron(schedule.cron);
+
+  const weekday = WEEKDAYS.indexOf(schedule.weekday);
+  if (weekday === -1) throw new Error(`Invalid weekday '${schedule.weekday}'.`);
+  const { hour, minute } = parseTime(schedule.time);
+  return parseCron(`${minute} ${hour} * * ${weekday}`);
+}
+
+// Like cron: when both day fields are restricted, a day matching either one is enough
+function matchesDay(rule: CronRule, day: Date): boolean {
+  if (rule.months.indexOf(day.getMonth() + 1) === -1) return false;
+  const dom = rule.daysOfMonth.indexOf(day.getDate()) !== -1;
+  const dow = rule.daysOfWeek.indexOf(day.getDay()) !== -1;
+  if (rule.anyDayOfMonth && rule.anyDayOfWeek) return true;
+  if (rule.anyDayOfMonth) return dow;
+  if (rule.anyDayOfWeek) return dom;
+  return dom || dow;
+}
+
+// Every start time of the schedule in [from, to)
+export function occurrences(
+  schedule: MeetingSchedule,
+  from: Date,
+  to: Date
+): Date[] {
+  const rule = toCronRule(schedule);
+  const starts: Date[] = [];
+  const day = new Date(from.getFullYear(), from.getMonth(), from.getDate());
+
+  for (; day < to; day.setDate(day.getDate() + 1)) {
+    if (!matchesDay(rule, day)) continue;
+    for (const hour of rule.hours) {
+      for (const minute of rule.minutes) {
+        const start = new Date(
+          day.getFullYear(),
+          day.getMonth(),
+          day.getDate(),
+          hour,
+          minute
+        );
+        if (start >= from && start < to) starts.push(start);
+      }
+    }
+  }
+  return starts;
+}
+
+// "10am", "2:30pm"
+function formatClockTime(hour: number, minute: number): string {
+  const suffix = hour < 12 ? "am" : "pm";
+  const h = hour % 12 === 0 ? 12 : hour % 12;
+  return minute === 0
+    ? `${h}${suffix}`
+    : `${h}:${String(100 + minute).slice(1)}${suffix}`;
+}
+
+export function describeSchedule(schedule: MeetingSchedule): string {
+  if ("cron" in schedule) return `on the schedule '${schedule.cron}'`;
+  const { hour, minute } = parseTime(schedule.time);
+  const day = schedule.weekday[0].toUpperCase() + schedule.weekday.slice(1);
+  return `each ${day} at ${formatClockTime(hour, minute)}`;
+}
+
+// ==========================
+// Departments
+// ==========================
+
+// A department whose meeting is data. printMeeting is derived from it, so subclasses
+// only declare `meeting`.
+export abstract class ScheduledDepartment extends Department {
+  abstract readonly meeting: MeetingSchedule;
+
+  printMeeting(): void {
+    console.log(`The ${this.name} meets ${describeSchedule(this.meeting)}.`);
+  }
+}
+
+export interface Meeting {
+  department: string;
+  start: Date;
+  end: Date;
+}
+
+const DEFAULT_DURATION_MINUTES = 60;
+
+export class DepartmentRegistry {
+  private departments: ScheduledDepartment[] = [];
+
+  // Takes the class rather than an instance, like createClock in interfaces.ts, so a
+  // department can register itself right below its declaration
+  register<D extends ScheduledDepartment>(ctor: new () => D): D {
+    const department = new ctor();
+    if (this.get(department.name)) {
+      throw new Error(`Department '${department.name}' is already registered.`);
+    }
+    // fail on a bad schedule now rather than when the calendar is built
+    toCronRule(department.meeting);
+    this.departments.push(department);
+    return department;
+  }
+
+  unregister(name: string): boolean {
+    const before = this.departments.length;
+    this.departments = this.departments.filter((d) => d.name !== name);
+    return this.departments.length !== before;
+  }
+
+  get(name: string): ScheduledDepartment | undefined {
+    return this.departments.filter((d) => d.name === name)[0];
+  }
+
+  list(): ScheduledDepartment[] {
+    return this.departments.slice();
+  }
+
+  // Meetings of every department starting in [from, to), earliest first
+  upcomingMeetings(from: Date, to: Date): Meeting[] {
+    const meetings: Meeting[] = [];
+    for (const department of this.departments) {
+      const { meeting } = department;
+      const duration =
+        meeting.durationMinutes !== undefined
+          ? meeting.durationMinutes
+          : DEFAULT_DURATION_MINUTES;
+      for (const start of occurrences(meeting, from, to)) {
+        meetings.push({
+          department: department.name,
+          start,
+          end: new Date(start.getTime() + duration * 60 * 1000),
+        });
+      }
+    }
+    return meetings.sort(
+      (a, b) =>
+        a.start.getTime() - b.start.getTime() ||
+        (a.department < b.department ? -1 : 1)
+    );
+  }
+
+  // An RFC 5545 calendar with one event per meeting in [from, to)
+  toICalendar(from: Date, to: Date, now: Date = new Date()): string {
+    const lines = [
+      "BEGIN:VCALENDAR",
+      "VERSION:2.0",
+      "PRODID:-//typescript_code_snippets//Department Registry//EN",
+      "CALSCALE:GREGORIAN",
+    ];
+    for (const meeting of this.upcomingMeetings(from, to)) {
+      const start = formatLocalDateTime(meeting.start);
+      lines.push(
+        "BEGIN:VEVENT",
+        `UID:${slug(meeting.department)}-${start}@departments`,
+        `DTSTAMP:${formatUtcDateTime(now)}`,
+        `DTSTART:${start}`,
+        `DTEND:${formatLocalDateTime(meeting.end)}`,
+        `SUMMARY:${escapeText(`${meeting.department} meeting`)}`,
+        "END:VEVENT"
+      );
+    }
+    lines.push("END:VCALENDAR");
+    return lines.map(foldLine).join("\r\n") + "\r\n";
+  }
+}
+
+// The registry departments register themselves with
+export const departments = new DepartmentRegistry();
+
+// ==========================
+// iCalendar helpers
+// ==========================
+
+function pad(value: number, length = 2): string {
+  return ("000" + value).slice(-length);
+}
+
+// Floating local time (no "Z"), the meeting is at 10am wherever the calendar is opened
+function formatLocalDateTime(date: Date): string {
+  return (
+    `${pad(date.getFullYear(), 4)}${pad(date.getMonth() + 1)}${pad(
+      date.getDate()
+    )}` + `T${pad(date.getHours())}${pad(date.getMinutes())}00`
+  );
+}
+
+function formatUtcDateTime(date: Date): string {
+  return date
+    .toISOString()
+    .replace(/[-:]/g, "")
+    .replace(/\.\d{3}/, "");
+}
+
+function escapeText(text: string): string {
+  return text
+    .replace(/\\/g, "\\\\")
+    .replace(/;/g, "\\;")
+    .replace(/,/g, "\\,")
+    .replace(/\n/g, "\\n");
+}
+
+function slug(text: string): string {
+  return text
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-|-$/g, "");
+}
+
+// Bytes one code point takes in UTF-8
+function utf8Length(char: string): number {
+  const cp = char.codePointAt(0) as number;
+  return cp < 0x80 ? 1 : cp < 0x800 ? 2 : cp < 0x10000 ? 3 : 4;
+}
+
+// Content lines longer than 75 octets (UTF-8 bytes, not characters) continue on the
+// next line after a space, which counts towards that line's 75. Lines are only broken
+// between code points, so "ü" is never split across two lines.
+function foldLine(line: string): string {
+  const parts: string[] = [];
+  let part = "";
+  let size = 0;
+  for (const char of line) {
+    const bytes = utf8Length(char);
+    if (size + bytes > (parts.length === 0 ? 75 : 74)) {
+      parts.push(part);
+      part = "";
+      size = 0;
+    }
+    part += char;
+    size += bytes;
+  }
+  parts.push(part);
+  return parts.join("\r\n ");
+}
+
+// class AccountingDepartment extends ScheduledDepartment {
+//   meeting: MeetingSchedule = { weekday: "monday", time: "10:00" };
+//
+//   constructor() {
+//     super("Accounting and Auditing");
+//   }
+// }
+// departments.register(AccountingDepartment);
+//
+// departments.upcomingMeetings(new Date(2021, 0, 1), new Date(2021, 1, 1));
+// departments.toICalendar(new Date(2021, 0, 1), new Date(2021, 1, 1));
@@ -0,0 +1,116 @@
+// ****** Geometry ******
+function is3d(v) {
+    return typeof v.z === "number";
+}
+function zOf(v) {
+    return is3d(v) ? v.z : 0;
+}
+function make(like, x, y, z) {
+    return (is3d(like) ? { x, y, z } : { x, y });
+}
+// ==========================
+// Vector operations
+// ==========================
+export function add(a, b) {
+    return make(a, a.x + b.x, a.y + b.y, zOf(a) + zOf(b));
+}
+export function subtract(a, b) {
+    return make(a, a.x - b.x, a.y - b.y, zOf(a) - zOf(b));
+}
+export function scale(v, factor) {
+    return make(v, v.x * factor, v.y * factor, zOf(v) * factor);
+}
+export function dot(a, b) {
+    return a.x * b.x + a.y * b.y + zOf(a) * zOf(b);
+}
+// The 3D cross product. For two 2D points use cross2d, which returns the z component
+// (the signed area of the parallelogram spanned by a and b).
+export function cross(a, b) {
+    return {
+        x: a.y * b.z - a.z * b.y,
+        y: a.z * b.x - a.x * b.z,
+        z: a.x * b.y - a.y * b.x,
+    };
+}
+export function cross2d(a, b) {
+    return a.x * b.y - a.y * b.x;
+}
+export function length(v) {
+    return Math.sqrt(dot(v, v));
+}
+// Unit vector in the direction of v. The zero vector has no direction, so it throws
+// instead of returning NaNs.
+export function normalize(v) {
+    const len = length(v);
+    if (len === 0)
+        throw new RangeError("Cannot normalize a zero-length vector.");
+    return scale(v, 1 / len);
+}
+// t = 0 gives a, t = 1 gives b, values outside [0, 1] extrapolate
+export function lerp(a, b, t) {
+    return add(a, scale(subtract(b, a), t));
+}
+export function euclidean(a, b) {
+    return length(subtract(a, b));
+}
+// Moves along the axes only, like a taxi through a street grid
+export function manhattan(a, b) {
+    return Math.abs(a.x - b.x) + Math.abs(a.y - b.y) + Math.abs(zOf(a) - zOf(b));
+}
+// Diagonal moves cost the same as straight ones, like a king on a chess board
+export function chebyshev(a, b) {
+    return Math.max(Math.abs(a.x - b.x), Math.abs(a.y - b.y), Math.abs(zOf(a) - zOf(b)));
+}
+const metrics = {
+    euclidean,
+    manhattan,
+    chebyshev,
+};
+export function distance(a, b, metric = "euclidean") {
+    return metrics[metric](a, b);
+}
+// The Grid from classes.ts with the origin moved onto the instance. `scale` is the size
+// of one cell in world units, so a distance of 10 on a grid with scale 5 is 2 cells.
+export class Grid {
+    constructor(scale = 1, origin = { x: 0, y: 0 }) {
+        this.scale = scale;
+        this.origin = origin;
+        if (!(scale > 0)) {
+            throw new RangeError("Grid scale must be greater than 0.");
+        }
+    }
+    calculateDistanceFromOrigin(point, metric = "euclidean") {
+        return distance(point, this.origin, metric) / this.scale;
+    }
+    // The cell a world coordinate falls into. Cell edges belong to the cell on their
+    // right/bottom, so (origin.x + scale, y) is already in column 1.
+    worldToCell(point) {
+        return {
+            column: Math.floor((point.x - this.origin.x) / this.scale),
+            row: Math.floor((point.y - this.origin.y) / this.scale),
+        };
+    }
+    cellToWorld(cell, anchor = "corner") {
+        const offset = anchor === "center" ? 0.5 : 0;
+        return {
+            x: this.origin.x + (cell.column + offset) * this.scale,
+            y: this.origin.y + (cell.row + offset) * this.scale,
+        };
+    }
+    // Snapping to corners rounds to the nearest grid line crossing, snapping to
+    // centers moves the point to the middle of the cell it is in
+    snap(point, anchor = "corner") {
+        if (anchor === "center") {
+            return this.cellToWorld(this.worldToCell(point), "center");
+        }
+        return this.cellToWorld({
+            column: Math.round((point.x - this.origin.x) / this.scale),
+            row: Math.round((point.y - this.origin.y) / this.scale),
+        });
+    }
+}
+// let grid = new Grid(5, { x: 10, y: 10 });
+// grid.calculateDistanceFromOrigin({ x: 20, y: 10 }); // 2
+// grid.worldToCell({ x: 23, y: 9 }); // { column: 2, row: -1 }
+// grid.snap({ x: 23, y: 9 }); // { x: 25, y: 10 }
+// lerp({ x: 0, y: 0, z: 0 }, { x: 10, y: 0, z: 4 }, 0.5); // { x: 5, y: 0, z: 2 }
@@ -0,0 +1,180 @@
+// ****** Geometry ******
+
+// Point and Point3d in classes.ts are plain data and Grid only knows the Euclidean
+// distance from one static origin. This module adds the vector math on top of those
+// shapes (every function takes any { x, y } or { x, y, z } value, class instance or not)
+// and a Grid whose origin and scale belong to the instance.
+
+import type { Point, Point3d } from "./classes";
+
+// A Point3d is also a Point, so 2D functions accept it. Functions that return a vector
+// return the same kind they were given: 3D in, 3D out.
+type Vector = Point | Point3d;
+
+function is3d(v: Vector): v is Point3d {
+  return typeof (v as Point3d).z === "number";
+}
+
+function zOf(v: Vector): number {
+  return is3d(v) ? v.z : 0;
+}
+
+function make<V extends Vector>(like: V, x: number, y: number, z: number): V {
+  return (is3d(like) ? { x, y, z } : { x, y }) as V;
+}
+
+// ==========================
+// Vector operations
+// ==========================
+
+export function add<V extends Vector>(a: V, b: V): V {
+  return make(a, a.x + b.x, a.y + b.y, zOf(a) + zOf(b));
+}
+
+export function subtract<V extends Vector>(a: V, b: V): V {
+  return make(a, a.x - b.x, a.y - b.y, zOf(a) - zOf(b));
+}
+
+export function scale<V extends Vector>(v: V, factor: number): V {
+  return make(v, v.x * factor, v.y * factor, zOf(v) * factor);
+}
+
+export function dot(a: Vector, b: Vector): number {
+  return a.x * b.x + a.y * b.y + zOf(a) * zOf(b);
+}
+
+// The 3D cross product. For two 2D points use cross2d, which returns the z component
+// (the signed area of the parallelogram spanned by a and b).
+export function cross(a: Point3d, b: Point3d): Point3d {
+  return {
+    x: a.y * b.z - a.z * b.y,
+    y: a.z * b.x - a.x * b.z,
+    z: a.x * b.y - a.y * b.x,
+  };
+}
+
+export function cross2d(a: Point, b: Point): number {
+  return a.x * b.y - a.y * b.x;
+}
+
+export function length(v: Vector): number {
+  return Math.sqrt(dot(v, v));
+}
+
+// Unit vector in the direction of v. The zero vector has no direction, so it throws
+// instead of returning NaNs.
+export function normalize<V extends Vector>(v: V): V {
+  const len = length(v);
+  if (len === 0) throw new RangeError("Cannot normalize a zero-length vector.");
+  return scale(v, 1 / len);
+}
+
+// t = 0 gives a, t = 1 gives b, values outside [0, 1] extrapolate
+export function lerp<V extends Vector>(a: V, b: V, t: number): V {
+  return add(a, scale(subtract(b, a), t));
+}
+
+// ==========================
+// Distances
+// ==========================
+
+export type DistanceMetric = "euclidean" | "manhattan" | "chebyshev";
+
+export function euclidean(a: Vector, b: Vector): number {
+  return length(subtract(a, b));
+}
+
+// Moves along the axes only, like a taxi through a street grid
+export function manhattan(a: Vector, b: Vector): number {
+  return Math.abs(a.x - b.x) + Math.abs(a.y - b.y) + Math.abs(zOf(a) - zOf(b));
+}
+
+// Diagonal moves cost the same as straight ones, like a king on a chess board
+export function chebyshev(a: Vector, b: Vector): number {
+  return Math.max(
+    Math.abs(a.x - b.x),
+    Math.abs(a.y - b.y),
+    Math.abs(zOf(a) - zOf(b))
+  );
+}
+
+const metrics: { [M in DistanceMetric]: (a: Vector, b: Vector) => number } = {
+  euclidean,
+  manhattan,
+  chebyshev,
+};
+
+export function distance(
+  a: Vector,
+  b: Vector,
+  metric: DistanceMetric = "euclidean"
+): number {
+  return metrics[metric](a, b);
+}
+
+// ==========================
+// Grid
+// ==========================
+
+export interface Cell {
+  column: number;
+  row: number;
+}
+
+// Where in a cell cellToWorld and snap put a point
+export type CellAnchor = "corner" | "center";
+
+// The Grid from classes.ts with the origin moved onto the instance. `scale` is the size
+// of one cell in world units, so a distance of 10 on a grid with scale 5 is 2 cells.
+export class Grid {
+  constructor(
+    readonly scale: number = 1,
+    readonly origin: Point = { x: 0, y: 0 }
+  ) {
+    if (!(scale > 0)) {
+      throw new RangeError("Grid scale must be greater than 0.");
+    }
+  }
+
+  calculateDistanceFromOrigin(
+    point: Point,
+    metric: DistanceMetric = "euclidean"
+  ): number {
+    return distance(point, this.origin, metric) / this.scale;
+  }
+
+  // The cell a world coordinate falls into. Cell edges belong to the cell on their
+  // right/bottom, so (origin.x + scale, y) is already in column 1.
+  worldToCell(point: Point): Cell {
+    return {
+      column: Math.floor((point.x - this.origin.x) / this.scale),
+      row: Math.floor((point.y - this.origin.y) / this.scale),
+    };
+  }
+
+  cellToWorld(cell: Cell, anchor: CellAnchor = "corner"): Point {
+    const offset = anchor === "center" ? 0.5 : 0;
+    return {
+      x: this.origin.x + (cell.column + offset) * this.scale,
+      y: this.origin.y + (cell.row + offset) * this.scale,
+    };
+  }
+
+  // Snapping to corners rounds to the nearest grid line crossing, snapping to
+  // centers moves the point to the middle of the cell it is in
+  snap(point: Point, anchor: CellAnchor = "corner"): Point {
+    if (anchor === "center") {
+      return this.cellToWorld(this.worldToCell(point), "center");
+    }
+    return this.cellToWorld({
+      column: Math.round((point.x - this.origin.x) / this.scale),
+      row: Math.round((point.y - this.origin.y) / this.scale),
+    });
+  }
+}
+
+// let grid = new Grid(5, { x: 10, y: 10 });
+// grid.calculateDistanceFromOrigin({ x: 20, y: 10 }); // 2
+// grid.worldToCell({ x: 23, y: 9 }); // { column: 2, row: -1 }
+// grid.snap({ x: 23, y: 9 }); // { x: 25, y: 10 }
+// lerp({ x: 0, y: 0, z: 0 }, { x: 10, y: 0, z: 4 }, 0.5); // { x: 5, y: 0, z: 2 }
@@ -0,0 +1,146 @@
+// ****** Model ******
+export class ValidationError extends Error {
+    constructor(errors) {
+        super(errors.map((e) => e.message).join("; "));
+        this.errors = errors;
+        this.name = "ValidationError";
+    }
+    // The failing fields, e.g. ["fullName", "age"]
+    get fields() {
+        return this.errors.map((e) => e.field);
+    }
+}
+function isEmpty(value) {
+    return value === undefined || value === null || value === "";
+}
+// Every constraint of one field that `value` breaks
+export function checkField(field, value, constraints) {
+    if (isEmpty(value)) {
+        return constraints.required
+            ? [{ field, message: `${field} is required` }]
+            : [];
+    }
+    const messages = [];
+    if (typeof value === "string") {
+        const { minLength, maxLength, pattern } = constraints;
+        if (minLength !== undefined && value.length < minLength) {
+            messages.push(`${field} has a min length of ${minLength}`);
+        }
+        if (maxLength !== undefined && value.length > maxLength) {
+            messages.push(`${field} has a max length of ${maxLength}`);
+        }
+        if (pattern && !pattern.test(value)) {
+            messages.push(`${field} must match ${pattern}`);
+        }
+    }
+    if (typeof value === "number") {
+        const { min, max, integer } = constraints;
+        if (min !== undefined && value < min) {
+            messages.push(`${field} must be at least ${min}`);
+        }
+        if (max !== undefined && value > max) {
+            messages.push(`${field} must be at most ${max}`);
+        }
+        if (integer && !Number.isInteger(value)) {
+            messages.push(`${field} must be an integer`);
+        }
+    }
+    if (constraints.check) {
+        const message = constraints.check(value);
+        if (message)
+            messages.push(message);
+    }
+    return messages.map((message) => ({ field, message }));
+}
+// ==========================
+// Model
+// ==========================
+// The base constructor returns a Proxy around the instance, so every `model.field = x`
+// goes through the field's constraints and throws a ValidationError before anything is
+// stored. Field initializers are checked as well: compiled to assignments they go
+// through the `set` trap, as native class fields (useDefineForClassFields) they are
+// defined on the instance and go through `defineProperty`. A required field should
+// get its value from the constructor rather than an empty initializer. A field that is
+// only declared starts out undefined and is left to validate().
+export class Model {
+    constructor() {
+        return new Proxy(this, {
+            set(target, key, value, receiver) {
+                if (typeof key === "string")
+                    target.assertValue(key, value);
+                return Reflect.set(target, key, value, receiver);
+            },
+            defineProperty(target, key, descriptor) {
+                if (typeof key === "string" && descriptor.value !== undefined) {
+                    target.assertValue(key, descriptor.value);
+                }
+                return Reflect.defineProperty(target, key, descriptor);
+            },
+        });
+    }
+    get constraints() {
+        return this.constructor.constraints;
+    }
+    checkValue(field, value) {
+        const constraints = this.constraints[field];
+        return constraints ? checkField(field, value, constraints) : [];
+    }
+    assertValue(field, value) {
+        const errors = this.checkValue(field, value);
+        if (errors.length > 0)
+            throw new ValidationError(errors);
+    }
+    // Every failing field of the instance as it is now, e.g. after it was loaded from
+    // storage without going through the setters
+    validate() {
+        const self = this;
+        let errors = [];
+        for (const field of Object.keys(this.constraints)) {
+            errors = errors.concat(this.checkValue(field, self[field]));
+        }
+        return errors;
+    }
+    isValid() {
+        return this.validate().length === 0;
+    }
+    assertValid() {
+        const errors = this.validate();
+        if (errors.length > 0)
+            throw new ValidationError(errors);
+    }
+    // Bulk update: all the values are checked first and a single ValidationError lists
+    // every failing field. Nothing is assigned unless all of them pass.
+    assign(values) {
+        const fields = Object.keys(values);
+        let errors = [];
+        for (const field of fields) {
+            errors = errors.concat(this.checkValue(field, values[field]));
+        }
+        if (errors.length > 0)
+            throw new ValidationError(errors);
+        for (const field of fields) {
+            this[field] = values[field];
+        }
+        return this;
+    }
+}
+Model.constraints = {};
+// const fullNameMaxLength = 10;
+//
+// class Employee extends Model {
+//   static constraints: Constraints<Employee> = {
+//     fullName: { required: true, maxLength: fullNameMaxLength },
+//     department: { required: true, pattern: /^[A-Z][a-z]+$/ },
+//     salary: { min: 0, integer: true },
+//   };
+//
+//   fullName: string;
+//   department: string;
+//   salary: number;
+// }
+//
+// let employee = new Employee();
+// employee.fullName = "Bob Smith";
+// employee.fullName = "Bob Smith Junior"; // ValidationError: fullName has a max length of 10
+// employee.assign({ department: "sales", salary: -1 });
+// // ValidationError with two errors, for department and salary
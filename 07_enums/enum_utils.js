@@ -0,0 +1,80 @@
+// ****** Enum Utilities ******
+// "0": "UP" is a reverse mapping entry because Direction2["UP"] maps back to 0. A string
+// member such as Yes = "YES" is not, there is no "YES" key pointing back at "Yes".
+function isReverseMapping(e, key) {
+    const name = e[key];
+    return (typeof name === "string" &&
+        typeof e[name] === "number" &&
+        String(e[name]) === key);
+}
+// ==========================
+// Keys, values and entries
+// ==========================
+export function enumKeys(e) {
+    return Object.keys(e).filter((key) => !isReverseMapping(e, key));
+}
+export function enumValues(e) {
+    return enumKeys(e).map((key) => e[key]);
+}
+export function enumEntries(e) {
+    return enumKeys(e).map((key) => [key, e[key]]);
+}
+// ==========================
+// Lookups
+// ==========================
+export function isEnumKey(e, key) {
+    return (typeof key === "string" && enumKeys(e).indexOf(key) !== -1);
+}
+export function isEnumValue(e, value) {
+    return enumValues(e).indexOf(value) !== -1;
+}
+// Reverse lookup that also works for string enums, which get no reverse mapping:
+// enumKeyOf(Direction3, "UP") is "Up". Undefined when no member has this value.
+export function enumKeyOf(e, value) {
+    const keys = enumKeys(e);
+    for (const key of keys) {
+        if (e[key] === value)
+            return key;
+    }
+    return undefined;
+}
+// ==========================
+// Parsing
+// ==========================
+// Turns config or query string input into an enum value without throwing. The input may
+// be a member name or a member value, both compared case-insensitively, so for Direction1
+// "left", "LEFT" and "4" all give Direction1.LEFT. A number is matched against the values.
+export function parseEnum(e, input) {
+    if (typeof input === "number") {
+        return isEnumValue(e, input)
+            ? { status: "ok", value: input }
+            : { status: "error", message: `'${input}' is not a valid enum value` };
+    }
+    const needle = input.trim().toLowerCase();
+    const matches = [];
+    for (const [key, value] of enumEntries(e)) {
+        const matchesKey = key.toLowerCase() === needle;
+        const matchesValue = String(value).toLowerCase() === needle;
+        if ((matchesKey || matchesValue) && matches.indexOf(value) === -1) {
+            matches.push(value);
+        }
+    }
+    if (matches.length === 1)
+        return { status: "ok", value: matches[0] };
+    if (matches.length > 1) {
+        return {
+            status: "error",
+            message: `'${input}' is ambiguous, it matches ${matches
+                .map((value) => enumKeyOf(e, value))
+                .join(", ")}`,
+        };
+    }
+    return {
+        status: "error",
+        message: `'${input}' is not one of ${enumKeys(e).join(", ")}`,
+    };
+}
+// enumKeys(Direction1); // ["UP", "DOWN", "RIGHT", "LEFT"]
+// enumValues(BooleanLikeHeterogenousEnum); // [0, "YES"]
+// parseEnum(Direction3, "left"); // { status: "ok", value: "LEFT" }
+// parseEnum(E2, "w"); // { status: "error", message: "'w' is not one of X, Y, Z" }
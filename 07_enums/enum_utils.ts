@@ -0,0 +1,127 @@
+// ****** Enum Utilities ******
+
+// Numeric enums are compiled into an object holding both the forward (name -> value) and
+// the reverse (value -> name) mappings, so Object.keys(Direction2) is
+// ["0", "1", "2", "3", "UP", "DOWN", "RIGHT", "LEFT"]. The helpers below skip the reverse
+// mapping entries and work the same for numeric, string and heterogeneous enums.
+
+// Any enum object (or a plain object used like one)
+export type EnumLike = { [key: string]: string | number };
+
+export type EnumKey<E extends EnumLike> = Extract<keyof E, string>;
+export type EnumValue<E extends EnumLike> = E[EnumKey<E>];
+
+export type ParseResult<T> =
+  | { status: "ok"; value: T }
+  | { status: "error"; message: string };
+
+// "0": "UP" is a reverse mapping entry because Direction2["UP"] maps back to 0. A string
+// member such as Yes = "YES" is not, there is no "YES" key pointing back at "Yes".
+function isReverseMapping(e: EnumLike, key: string): boolean {
+  const name = e[key];
+  return (
+    typeof name === "string" &&
+    typeof e[name] === "number" &&
+    String(e[name]) === key
+  );
+}
+
+// ==========================
+// Keys, values and entries
+// ==========================
+
+export function enumKeys<E extends EnumLike>(e: E): EnumKey<E>[] {
+  return Object.keys(e).filter(
+    (key) => !isReverseMapping(e, key)
+  ) as EnumKey<E>[];
+}
+
+export function enumValues<E extends EnumLike>(e: E): EnumValue<E>[] {
+  return enumKeys(e).map((key) => e[key]);
+}
+
+export function enumEntries<E extends EnumLike>(
+  e: E
+): [EnumKey<E>, EnumValue<E>][] {
+  return enumKeys(e).map((key): [EnumKey<E>, EnumValue<E>] => [key, e[key]]);
+}
+
+// ==========================
+// Lookups
+// ==========================
+
+export function isEnumKey<E extends EnumLike>(
+  e: E,
+  key: unknown
+): key is EnumKey<E> {
+  return (
+    typeof key === "string" && enumKeys(e).indexOf(key as EnumKey<E>) !== -1
+  );
+}
+
+export function isEnumValue<E extends EnumLike>(
+  e: E,
+  value: unknown
+): value is EnumValue<E> {
+  return enumValues(e).indexOf(value as EnumValue<E>) !== -1;
+}
+
+// Reverse lookup that also works for string enums, which get no reverse mapping:
+// enumKeyOf(Direction3, "UP") is "Up". Undefined when no member has this value.
+export function enumKeyOf<E extends EnumLike>(
+  e: E,
+  value: EnumValue<E> | string | number
+): EnumKey<E> | undefined {
+  const keys = enumKeys(e);
+  for (const key of keys) {
+    if (e[key] === value) return key;
+  }
+  return undefined;
+}
+
+// ==========================
+// Parsing
+// ==========================
+
+// Turns config or query string input into an enum value without throwing. The input may
+// be a member name or a member value, both compared case-insensitively, so for Direction1
+// "left", "LEFT" and "4" all give Direction1.LEFT. A number is matched against the values.
+export function parseEnum<E extends EnumLike>(
+  e: E,
+  input: string | number
+): ParseResult<EnumValue<E>> {
+  if (typeof input === "number") {
+    return isEnumValue(e, input)
+      ? { status: "ok", value: input }
+      : { status: "error", message: `'${input}' is not a valid enum value` };
+  }
+
+  const needle = input.trim().toLowerCase();
+  const matches: EnumValue<E>[] = [];
+  for (const [key, value] of enumEntries(e)) {
+    const matchesKey = key.toLowerCase() === needle;
+    const matchesValue = String(value).toLowerCase() === needle;
+    if ((matchesKey || matchesValue) && matches.indexOf(value) === -1) {
+      matches.push(value);
+    }
+  }
+
+  if (matches.length === 1) return { status: "ok", value: matches[0] };
+  if (matches.length > 1) {
+    return {
+      status: "error",
+      message: `'${input}' is ambiguous, it matches ${matches
+        .map((value) => enumKeyOf(e, value))
+        .join(", ")}`,
+    };
+  }
+  return {
+    status: "error",
+    message: `'${input}' is not one of ${enumKeys(e).join(", ")}`,
+  };
+}
+
+// enumKeys(Direction1); // ["UP", "DOWN", "RIGHT", "LEFT"]
+// enumValues(BooleanLikeHeterogenousEnum); // [0, "YES"]
+// parseEnum(Direction3, "left"); // { status: "ok", value: "LEFT" }
+// parseEnum(E2, "w"); // { status: "error", message: "'w' is not one of X, Y, Z" }
@@ -1,6 +1,7 @@
 // ****** Enums ******
 // Enums allow a developer to define a set of named constants.
 // TypeScript provides both numeric and string-based enums.
+import { LogLevel } from "./log_level";
 // ==========================
 // Numeric enums
 // ==========================
@@ -186,13 +187,9 @@ f(E5);
 // Even though Enums are real objects that exist at runtime, the keyof keyword
 // works differently than you might expect for typical objects. Instead, use
 // keyof typeof to get a Type that represents all Enum keys as strings.
-var LogLevel;
-(function (LogLevel) {
-    LogLevel[LogLevel["ERROR"] = 0] = "ERROR";
-    LogLevel[LogLevel["WARN"] = 1] = "WARN";
-    LogLevel[LogLevel["INFO"] = 2] = "INFO";
-    LogLevel[LogLevel["DEBUG"] = 3] = "DEBUG";
-})(LogLevel || (LogLevel = {}));
+// LogLevel comes from log_level.ts (see the import at the top) and reads:
+// enum LogLevel { ERROR, WARN, INFO, DEBUG }
+export { LogLevel };
 function printImportant(key, message) {
     const num = LogLevel[key];
     if (num <= LogLevel.WARN) {
@@ -3,6 +3,8 @@
 // Enums allow a developer to define a set of named constants.
 // TypeScript provides both numeric and string-based enums.
 
+import { LogLevel } from "./log_level";
+
 // ==========================
 // Numeric enums
 // ==========================
@@ -227,18 +229,15 @@ f(E5);
 // works differently than you might expect for typical objects. Instead, use
 // keyof typeof to get a Type that represents all Enum keys as strings.
 
-enum LogLevel {
-  ERROR,
-  WARN,
-  INFO,
-  DEBUG,
-}
+// LogLevel comes from log_level.ts (see the import at the top) and reads:
+// enum LogLevel { ERROR, WARN, INFO, DEBUG }
+export { LogLevel };
 
 /**
  * This is equivalent to:
  * type LogLevelStrings = 'ERROR' | 'WARN' | 'INFO' | 'DEBUG';
  */
-type LogLevelStrings = keyof typeof LogLevel;
+export type LogLevelStrings = keyof typeof LogLevel;
 
 function printImportant(key: LogLevelStrings, message: string) {
   const num = LogLevel[key];
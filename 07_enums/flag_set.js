@@ -0,0 +1,149 @@
+// ****** Flag Set ******
+function isSingleBit(value) {
+    return value > 0 && (value & (value - 1)) === 0;
+}
+// Every member except the zero one (None), single bits first and then the members of
+// several bits (ReadWrite), widest first
+function nonZeroMembers(flags) {
+    const members = [];
+    for (const name of Object.keys(flags)) {
+        const value = flags[name];
+        // skip the reverse mapping entries ("2": "Read")
+        if (typeof value === "number" && value !== 0)
+            members.push({ name, value });
+    }
+    const single = members.filter(({ value }) => isSingleBit(value));
+    const multiple = members.filter(({ value }) => !isSingleBit(value));
+    return single
+        .sort((a, b) => a.value - b.value)
+        .concat(multiple.sort((a, b) => b.value - a.value));
+}
+// The members that name the bits of `mask`: its single-bit members, then members of
+// several bits for the bits those leave over (FileAccess.G is 3 and no single-bit
+// member has bit 0). undefined when some bit belongs to no member inside the mask.
+function membersOf(flags, mask) {
+    const members = [];
+    let left = mask;
+    for (const member of nonZeroMembers(flags)) {
+        const { value } = member;
+        if ((value & mask) === value && (value & left) !== 0) {
+            members.push(member);
+            left &= ~value;
+        }
+    }
+    if (left !== 0)
+        return undefined;
+    // G already names the Read bit, so the mask 3 is "G" and not "Read|G"
+    return members.filter(({ value }) => !isSingleBit(value) ||
+        !members.some((m) => m.value !== value && (m.value & value) !== 0));
+}
+// ==========================
+// FlagSet
+// ==========================
+// FlagSet is immutable: add/remove/toggle/union/intersection return a new set, so a set
+// that was handed out can not be changed behind its owner's back.
+//
+// Every set is a combination of members of the enum. Any operation that would leave
+// bits no member accounts for throws a RangeError, so format(), parse(), toNumber()
+// and fromNumber() always agree.
+export class FlagSet {
+    constructor(flags, mask) {
+        this.flags = flags;
+        this.mask = mask;
+        const members = Number.isInteger(mask) ? membersOf(flags, mask) : undefined;
+        if (!members) {
+            throw new RangeError(`'${mask}' is not a valid combination of flags.`);
+        }
+        this.members = members;
+    }
+    static empty(flags) {
+        return new FlagSet(flags, 0);
+    }
+    static of(flags, ...members) {
+        return FlagSet.empty(flags).add(...members);
+    }
+    // Reads back a mask written by toNumber(). Bits that are not part of a member of the
+    // enum are rejected, they usually mean the enum and the stored data got out of sync.
+    static fromNumber(flags, mask) {
+        return new FlagSet(flags, mask);
+    }
+    // Parses the output of format(): member names (any member, so "ReadWrite" works
+    // too) separated by "|". Surrounding whitespace is ignored.
+    static parse(flags, text) {
+        let mask = 0;
+        for (const part of text.split("|")) {
+            const name = part.trim();
+            if (name === "")
+                continue;
+            const value = flags[name];
+            if (typeof value !== "number") {
+                throw new RangeError(`Unknown flag '${name}'.`);
+            }
+            mask |= value;
+        }
+        return new FlagSet(flags, mask);
+    }
+    has(member) {
+        // a zero member such as `None` is only "in" the set when nothing else is
+        if (member === 0)
+            return this.mask === 0;
+        return (this.mask & member) === member;
+    }
+    hasAny(...members) {
+        return members.some((member) => this.has(member));
+    }
+    add(...members) {
+        return this.with(members.reduce((mask, member) => mask | member, this.mask));
+    }
+    remove(...members) {
+        return this.with(members.reduce((mask, member) => mask & ~member, this.mask));
+    }
+    toggle(...members) {
+        return this.with(members.reduce((mask, member) => mask ^ member, this.mask));
+    }
+    union(other) {
+        return this.with(this.mask | other.mask);
+    }
+    intersection(other) {
+        return this.with(this.mask & other.mask);
+    }
+    isEmpty() {
+        return this.mask === 0;
+    }
+    equals(other) {
+        return this.mask === other.mask;
+    }
+    // The members format() names: single-bit members lowest bit first, then the members
+    // of several bits needed for the rest
+    *[Symbol.iterator]() {
+        for (const { value } of this.members)
+            yield value;
+    }
+    // "Read|Write"; an empty set is formatted with the enum's zero member (e.g. "None")
+    // when it has one
+    format() {
+        const names = this.members.map(({ name }) => name);
+        if (names.length > 0)
+            return names.join("|");
+        const zero = this.flags[0];
+        return typeof zero === "string" ? zero : "";
+    }
+    toString() {
+        return this.format();
+    }
+    // Compact form for storage, read it back with FlagSet.fromNumber
+    toNumber() {
+        return this.mask;
+    }
+    toJSON() {
+        return this.mask;
+    }
+    with(mask) {
+        return mask === this.mask ? this : new FlagSet(this.flags, mask);
+    }
+}
+// let access = FlagSet.of(FileAccess, FileAccess.Read);
+// access = access.add(FileAccess.Write);
+// access.has(FileAccess.ReadWrite); // true
+// access.format(); // "Read|Write"
+// FlagSet.fromNumber(FileAccess, access.toNumber()).equals(access); // true
@@ -0,0 +1,10 @@
+// ****** Log Level ******
+// LogLevel from "Enums at compile time" in enums.ts. logger.ts ranks levels by these
+// numbers (ERROR 0 is the most important), and both files import the enum from here.
+export var LogLevel;
+(function (LogLevel) {
+    LogLevel[LogLevel["ERROR"] = 0] = "ERROR";
+    LogLevel[LogLevel["WARN"] = 1] = "WARN";
+    LogLevel[LogLevel["INFO"] = 2] = "INFO";
+    LogLevel[LogLevel["DEBUG"] = 3] = "DEBUG";
+})(LogLevel || (LogLevel = {}));
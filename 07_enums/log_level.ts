@@ -0,0 +1,11 @@
+// ****** Log Level ******
+
+// LogLevel from "Enums at compile time" in enums.ts. logger.ts ranks levels by these
+// numbers (ERROR 0 is the most important), and both files import the enum from here.
+
+export enum LogLevel {
+  ERROR,
+  WARN,
+  INFO,
+  DEBUG,
+}
@@ -0,0 +1,148 @@
+// ****** Logger ******
+import { LogLevel } from "./log_level";
+export function isLogLevel(value) {
+    // the reverse mapping ("0" -> "ERROR") holds strings, only the keys map to numbers
+    return typeof LogLevel[value] === "number";
+}
+// One JSON object per line, the bound fields are merged into the top level
+export const jsonFormatter = ({ time, level, logger, message, fields, }) => JSON.stringify(Object.assign({}, fields, {
+    time: time.toISOString(),
+    level,
+    logger,
+    message,
+}));
+// 2026-01-01T10:00:00.000Z WARN  [api.db] slow query ms=812 table="users"
+export const prettyFormatter = ({ time, level, logger, message, fields, }) => {
+    const padded = (level + "     ").slice(0, 5);
+    const name = logger ? ` [${logger}]` : "";
+    const pairs = Object.keys(fields).map((key) => ` ${key}=${JSON.stringify(fields[key])}`);
+    return `${time.toISOString()} ${padded}${name} ${message}${pairs.join("")}`;
+};
+export class ConsoleSink {
+    constructor(formatter = prettyFormatter) {
+        this.formatter = formatter;
+    }
+    write(record) {
+        const line = this.formatter(record);
+        switch (record.level) {
+            case "ERROR":
+                return console.error(line);
+            case "WARN":
+                return console.warn(line);
+            case "INFO":
+                return console.info(line);
+            case "DEBUG":
+                return console.debug(line);
+        }
+    }
+}
+// Keeps the last `capacity` records in memory, handy in tests and for attaching the
+// most recent logs to a crash report
+export class RingBufferSink {
+    constructor(capacity = 1000) {
+        this.capacity = capacity;
+        this.buffer = [];
+        this.next = 0;
+        if (!(capacity > 0)) {
+            throw new RangeError("RingBufferSink capacity must be greater than 0");
+        }
+    }
+    write(record) {
+        if (this.buffer.length < this.capacity) {
+            this.buffer.push(record);
+        }
+        else {
+            this.buffer[this.next] = record;
+        }
+        this.next = (this.next + 1) % this.capacity;
+    }
+    // Oldest record first
+    records() {
+        if (this.buffer.length < this.capacity)
+            return this.buffer.slice();
+        return this.buffer.slice(this.next).concat(this.buffer.slice(0, this.next));
+    }
+    clear() {
+        this.buffer = [];
+        this.next = 0;
+    }
+}
+// e.g. new StreamSink(fs.createWriteStream("app.log", { flags: "a" }))
+export class StreamSink {
+    constructor(stream, formatter = jsonFormatter) {
+        this.stream = stream;
+        this.formatter = formatter;
+    }
+    write(record) {
+        this.stream.write(this.formatter(record) + "\n");
+    }
+}
+// LOG_LEVEL=debug / LOG_LEVEL=WARN; anything that is not a LogLevel key is ignored
+export function levelFromEnv(env) {
+    const value = (env.LOG_LEVEL || "").trim().toUpperCase();
+    return isLogLevel(value) ? value : undefined;
+}
+function defaultEnv() {
+    return typeof process !== "undefined" && process ? process.env : {};
+}
+export class Logger {
+    constructor(options = {}) {
+        this.name = options.name || "";
+        this.env = options.env || defaultEnv();
+        this.level = levelFromEnv(this.env) || options.level || "INFO";
+        this.sinks = options.sinks || [new ConsoleSink()];
+        this.fields = options.fields || {};
+        this.now = options.now || (() => new Date());
+    }
+    // Same comparison as printImportant: ERROR (0) is the most important level
+    isEnabled(level) {
+        return LogLevel[level] <= LogLevel[this.level];
+    }
+    log(level, message, fields) {
+        if (!this.isEnabled(level))
+            return;
+        const record = {
+            time: this.now(),
+            level,
+            logger: this.name,
+            message,
+            fields: Object.assign({}, this.fields, fields),
+        };
+        for (const sink of this.sinks)
+            sink.write(record);
+    }
+    error(message, fields) {
+        this.log("ERROR", message, fields);
+    }
+    warn(message, fields) {
+        this.log("WARN", message, fields);
+    }
+    info(message, fields) {
+        this.log("INFO", message, fields);
+    }
+    debug(message, fields) {
+        this.log("DEBUG", message, fields);
+    }
+    // A child writes to the same sinks with the parent's fields plus its own. Its name is
+    // appended to the parent's ("api" -> "api.db") and it starts at the parent's level.
+    // LOG_LEVEL still wins over a level given here.
+    child(fields, options = {}) {
+        const name = [this.name, options.name].filter(Boolean).join(".");
+        return new Logger({
+            name,
+            level: options.level || this.level,
+            sinks: this.sinks,
+            fields: Object.assign({}, this.fields, fields),
+            env: this.env,
+            now: this.now,
+        });
+    }
+}
+export function createLogger(options = {}) {
+    return new Logger(options);
+}
+// const log = createLogger({ name: "api", level: "WARN" });
+// const db = log.child({ pool: "primary" }, { name: "db" });
+// db.warn("slow query", { ms: 812 });
+// // 2026-01-01T10:00:00.000Z WARN  [api.db] slow query pool="primary" ms=812
+// db.info("connected"); // below WARN, dropped
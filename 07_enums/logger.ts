@@ -0,0 +1,249 @@
+// ****** Logger ******
+
+// printImportant in enums.ts turns a LogLevelStrings key back into its LogLevel number
+// and only prints when it is at or above WARN. The Logger below keeps that idea (a lower
+// LogLevel value is more important) and adds per-logger thresholds, child loggers with
+// bound context fields, pluggable sinks and formatters, and a LOG_LEVEL env override.
+
+import type { LogLevelStrings } from "./enums";
+import { LogLevel } from "./log_level";
+
+// No @types/node here, only the part of `process` the logger reads
+declare const process: { env: Environment } | undefined;
+
+export type Environment = { [name: string]: string | undefined };
+export type LogFields = { [key: string]: unknown };
+
+export interface LogRecord {
+  time: Date;
+  level: LogLevelStrings;
+  logger: string;
+  message: string;
+  fields: LogFields;
+}
+
+export function isLogLevel(value: string): value is LogLevelStrings {
+  // the reverse mapping ("0" -> "ERROR") holds strings, only the keys map to numbers
+  return typeof LogLevel[value as LogLevelStrings] === "number";
+}
+
+// ==========================
+// Formatters
+// ==========================
+
+export type Formatter = (record: LogRecord) => string;
+
+// One JSON object per line, the bound fields are merged into the top level
+export const jsonFormatter: Formatter = ({
+  time,
+  level,
+  logger,
+  message,
+  fields,
+}) =>
+  JSON.stringify(
+    Object.assign({}, fields, {
+      time: time.toISOString(),
+      level,
+      logger,
+      message,
+    })
+  );
+
+// 2026-01-01T10:00:00.000Z WARN  [api.db] slow query ms=812 table="users"
+export const prettyFormatter: Formatter = ({
+  time,
+  level,
+  logger,
+  message,
+  fields,
+}) => {
+  const padded = (level + "     ").slice(0, 5);
+  const name = logger ? ` [${logger}]` : "";
+  const pairs = Object.keys(fields).map(
+    (key) => ` ${key}=${JSON.stringify(fields[key])}`
+  );
+  return `${time.toISOString()} ${padded}${name} ${message}${pairs.join("")}`;
+};
+
+// ==========================
+// Sinks
+// ==========================
+
+export interface Sink {
+  write(record: LogRecord): void;
+}
+
+export class ConsoleSink implements Sink {
+  constructor(private formatter: Formatter = prettyFormatter) {}
+
+  write(record: LogRecord): void {
+    const line = this.formatter(record);
+    switch (record.level) {
+      case "ERROR":
+        return console.error(line);
+      case "WARN":
+        return console.warn(line);
+      case "INFO":
+        return console.info(line);
+      case "DEBUG":
+        return console.debug(line);
+    }
+  }
+}
+
+// Keeps the last `capacity` records in memory, handy in tests and for attaching the
+// most recent logs to a crash report
+export class RingBufferSink implements Sink {
+  private buffer: LogRecord[] = [];
+  private next = 0;
+
+  constructor(readonly capacity = 1000) {
+    if (!(capacity > 0)) {
+      throw new RangeError("RingBufferSink capacity must be greater than 0");
+    }
+  }
+
+  write(record: LogRecord): void {
+    if (this.buffer.length < this.capacity) {
+      this.buffer.push(record);
+    } else {
+      this.buffer[this.next] = record;
+    }
+    this.next = (this.next + 1) % this.capacity;
+  }
+
+  // Oldest record first
+  records(): LogRecord[] {
+    if (this.buffer.length < this.capacity) return this.buffer.slice();
+    return this.buffer.slice(this.next).concat(this.buffer.slice(0, this.next));
+  }
+
+  clear(): void {
+    this.buffer = [];
+    this.next = 0;
+  }
+}
+
+// Anything with a write(string) method: a Node fs.WriteStream, process.stdout, ...
+export interface WritableLike {
+  write(chunk: string): unknown;
+}
+
+// e.g. new StreamSink(fs.createWriteStream("app.log", { flags: "a" }))
+export class StreamSink implements Sink {
+  constructor(
+    private stream: WritableLike,
+    private formatter: Formatter = jsonFormatter
+  ) {}
+
+  write(record: LogRecord): void {
+    this.stream.write(this.formatter(record) + "\n");
+  }
+}
+
+// ==========================
+// Logger
+// ==========================
+
+export interface LoggerOptions {
+  name?: string;
+  level?: LogLevelStrings;
+  sinks?: Sink[];
+  fields?: LogFields;
+  // LOG_LEVEL in here wins over `level`, defaults to process.env
+  env?: Environment;
+  now?: () => Date;
+}
+
+export interface ChildLoggerOptions {
+  name?: string;
+  level?: LogLevelStrings;
+}
+
+// LOG_LEVEL=debug / LOG_LEVEL=WARN; anything that is not a LogLevel key is ignored
+export function levelFromEnv(env: Environment): LogLevelStrings | undefined {
+  const value = (env.LOG_LEVEL || "").trim().toUpperCase();
+  return isLogLevel(value) ? value : undefined;
+}
+
+function defaultEnv(): Environment {
+  return typeof process !== "undefined" && process ? process.env : {};
+}
+
+export class Logger {
+  readonly name: string;
+  level: LogLevelStrings;
+  private sinks: Sink[];
+  private fields: LogFields;
+  private now: () => Date;
+  private env: Environment;
+
+  constructor(options: LoggerOptions = {}) {
+    this.name = options.name || "";
+    this.env = options.env || defaultEnv();
+    this.level = levelFromEnv(this.env) || options.level || "INFO";
+    this.sinks = options.sinks || [new ConsoleSink()];
+    this.fields = options.fields || {};
+    this.now = options.now || (() => new Date());
+  }
+
+  // Same comparison as printImportant: ERROR (0) is the most important level
+  isEnabled(level: LogLevelStrings): boolean {
+    return LogLevel[level] <= LogLevel[this.level];
+  }
+
+  log(level: LogLevelStrings, message: string, fields?: LogFields): void {
+    if (!this.isEnabled(level)) return;
+
+    const record: LogRecord = {
+      time: this.now(),
+      level,
+      logger: this.name,
+      message,
+      fields: Object.assign({}, this.fields, fields),
+    };
+    for (const sink of this.sinks) sink.write(record);
+  }
+
+  error(message: string, fields?: LogFields): void {
+    this.log("ERROR", message, fields);
+  }
+
+  warn(message: string, fields?: LogFields): void {
+    this.log("WARN", message, fields);
+  }
+
+  info(message: string, fields?: LogFields): void {
+    this.log("INFO", message, fields);
+  }
+
+  debug(message: string, fields?: LogFields): void {
+    this.log("DEBUG", message, fields);
+  }
+
+  // A child writes to the same sinks with the parent's fields plus its own. Its name is
+  // appended to the parent's ("api" -> "api.db") and it starts at the parent's level.
+  // LOG_LEVEL still wins over a level given here.
+  child(fields: LogFields, options: ChildLoggerOptions = {}): Logger {
+    const name = [this.name, options.name].filter(Boolean).join(".");
+    return new Logger({
+      name,
+      level: options.level || this.level,
+      sinks: this.sinks,
+      fields: Object.assign({}, this.fields, fields),
+      env: this.env,
+      now: this.now,
+    });
+  }
+}
+
+export function createLogger(options: LoggerOptions = {}): Logger {
+  return new Logger(options);
+}
+
+// const log = createLogger({ name: "api", level: "WARN" });
+// const db = log.child({ pool: "primary" }, { name: "db" });
+// db.warn("slow query", { ms: 812 });
+// // 2026-01-01T10:00:00.000Z WARN  [api.db] slow query pool="primary" ms=812
+// db.info("connected"); // below WARN, dropped
@@ -0,0 +1,375 @@
+// ****** Collections ******
+// The data structures everybody writes again for every project, typed the way
+// generics.ts shows: one type parameter for the element (Stack<T>, LruMap<K, V>) and
+// `K extends keyof T` wherever an element's property is named (groupBy(people, "team")),
+// so a misspelt property is a compile error rather than a bucket of undefined.
+import { getProperty } from "./get_property";
+// ===========================
+// Stack, Queue and Deque
+// ===========================
+// Last in, first out. Iterates from the top.
+export class Stack {
+    constructor() {
+        this.items = [];
+    }
+    get size() {
+        return this.items.length;
+    }
+    isEmpty() {
+        return this.items.length === 0;
+    }
+    push(...items) {
+        this.items.push(...items);
+    }
+    pop() {
+        return this.items.pop();
+    }
+    peek() {
+        return this.items[this.items.length - 1];
+    }
+    clear() {
+        this.items = [];
+    }
+    *[Symbol.iterator]() {
+        for (let i = this.items.length - 1; i >= 0; i--)
+            yield this.items[i];
+    }
+}
+// Double-ended queue on a ring buffer: adding and removing at either end is O(1)
+export class Deque {
+    constructor() {
+        this.buffer = new Array(8);
+        this.head = 0; // index of the front element
+        this.length = 0;
+    }
+    get size() {
+        return this.length;
+    }
+    isEmpty() {
+        return this.length === 0;
+    }
+    pushBack(item) {
+        this.grow();
+        this.buffer[this.index(this.length)] = item;
+        this.length++;
+    }
+    pushFront(item) {
+        this.grow();
+        this.head = this.index(-1);
+        this.buffer[this.head] = item;
+        this.length++;
+    }
+    popBack() {
+        if (this.length === 0)
+            return undefined;
+        const i = this.index(this.length - 1);
+        const item = this.buffer[i];
+        this.buffer[i] = undefined; // don't keep removed items alive
+        this.length--;
+        return item;
+    }
+    popFront() {
+        if (this.length === 0)
+            return undefined;
+        const item = this.buffer[this.head];
+        this.buffer[this.head] = undefined;
+        this.head = this.index(1);
+        this.length--;
+        return item;
+    }
+    peekFront() {
+        return this.length === 0 ? undefined : this.buffer[this.head];
+    }
+    peekBack() {
+        return this.length === 0
+            ? undefined
+            : this.buffer[this.index(this.length - 1)];
+    }
+    // The item `position` places from the front, negative positions count from the back
+    at(position) {
+        const i = position < 0 ? this.length + position : position;
+        return i >= 0 && i < this.length ? this.buffer[this.index(i)] : undefined;
+    }
+    clear() {
+        this.buffer = new Array(8);
+        this.head = 0;
+        this.length = 0;
+    }
+    *[Symbol.iterator]() {
+        for (let i = 0; i < this.length; i++) {
+            yield this.buffer[this.index(i)];
+        }
+    }
+    index(offset) {
+        const capacity = this.buffer.length;
+        return (((this.head + offset) % capacity) + capacity) % capacity;
+    }
+    // Doubles the buffer when it is full, unrolling the ring so the front is at 0
+    grow() {
+        if (this.length < this.buffer.length)
+            return;
+        const items = Array.from(this);
+        this.buffer = items.concat(new Array(items.length));
+        this.head = 0;
+    }
+}
+// First in, first out. Iterates from the front.
+export class Queue {
+    constructor() {
+        this.items = new Deque();
+    }
+    get size() {
+        return this.items.size;
+    }
+    isEmpty() {
+        return this.items.isEmpty();
+    }
+    enqueue(...items) {
+        for (const item of items)
+            this.items.pushBack(item);
+    }
+    dequeue() {
+        return this.items.popFront();
+    }
+    peek() {
+        return this.items.peekFront();
+    }
+    clear() {
+        this.items.clear();
+    }
+    [Symbol.iterator]() {
+        return this.items[Symbol.iterator]();
+    }
+}
+export function naturalOrder(a, b) {
+    return a < b ? -1 : a > b ? 1 : 0;
+}
+// Orders elements by one of their properties: byKey<Task, "priority">("priority")
+export function byKey(key, direction = "asc") {
+    const sign = direction === "asc" ? 1 : -1;
+    return (a, b) => sign * naturalOrder(getProperty(a, key), getProperty(b, key));
+}
+// A binary min-heap: pop() returns the element the comparator puts first. Elements
+// the comparator considers equal come out in no particular order.
+export class PriorityQueue {
+    constructor(compare = naturalOrder) {
+        this.compare = compare;
+        this.heap = [];
+    }
+    get size() {
+        return this.heap.length;
+    }
+    isEmpty() {
+        return this.heap.length === 0;
+    }
+    push(...items) {
+        for (const item of items) {
+            this.heap.push(item);
+            this.siftUp(this.heap.length - 1);
+        }
+    }
+    pop() {
+        if (this.heap.length === 0)
+            return undefined;
+        const top = this.heap[0];
+        const last = this.heap.pop();
+        if (this.heap.length > 0) {
+            this.heap[0] = last;
+            this.siftDown(0);
+        }
+        return top;
+    }
+    peek() {
+        return this.heap[0];
+    }
+    clear() {
+        this.heap = [];
+    }
+    // Every element in pop() order, without removing them
+    toSortedArray() {
+        return this.heap.slice().sort(this.compare);
+    }
+    siftUp(i) {
+        while (i > 0) {
+            const parent = (i - 1) >> 1;
+            if (this.compare(this.heap[i], this.heap[parent]) >= 0)
+                return;
+            this.swap(i, parent);
+            i = parent;
+        }
+    }
+    siftDown(i) {
+        for (;;) {
+            const left = 2 * i + 1;
+            const right = left + 1;
+            let first = i;
+            if (left < this.heap.length &&
+                this.compare(this.heap[left], this.heap[first]) < 0) {
+                first = left;
+            }
+            if (right < this.heap.length &&
+                this.compare(this.heap[right], this.heap[first]) < 0) {
+                first = right;
+            }
+            if (first === i)
+                return;
+            this.swap(i, first);
+            i = first;
+        }
+    }
+    swap(i, j) {
+        [this.heap[i], this.heap[j]] = [this.heap[j], this.heap[i]];
+    }
+}
+// ===========================
+// LruMap and MultiMap
+// ===========================
+// A Map that holds at most `capacity` entries and drops the least recently used one
+// to make room. get() and set() count as a use, has() and peek() don't.
+export class LruMap {
+    constructor(capacity, onEvict) {
+        this.capacity = capacity;
+        this.onEvict = onEvict;
+        // a Map iterates in insertion order, so re-inserting on use keeps the least
+        // recently used entry first
+        this.entries = new Map();
+        if (!(Number.isInteger(capacity) && capacity > 0)) {
+            throw new RangeError("capacity must be a positive integer.");
+        }
+    }
+    get size() {
+        return this.entries.size;
+    }
+    has(key) {
+        return this.entries.has(key);
+    }
+    get(key) {
+        if (!this.entries.has(key))
+            return undefined;
+        const value = this.entries.get(key);
+        this.entries.delete(key);
+        this.entries.set(key, value);
+        return value;
+    }
+    peek(key) {
+        return this.entries.get(key);
+    }
+    set(key, value) {
+        this.entries.delete(key);
+        this.entries.set(key, value);
+        if (this.entries.size > this.capacity) {
+            const [oldestKey, oldestValue] = this.entries.entries().next().value;
+            this.entries.delete(oldestKey);
+            if (this.onEvict)
+                this.onEvict(oldestKey, oldestValue);
+        }
+        return this;
+    }
+    delete(key) {
+        return this.entries.delete(key);
+    }
+    clear() {
+        this.entries.clear();
+    }
+    // Least recently used first
+    [Symbol.iterator]() {
+        return this.entries[Symbol.iterator]();
+    }
+}
+// A Map from a key to a list of values
+export class MultiMap {
+    constructor() {
+        this.lists = new Map();
+        this.count = 0;
+    }
+    // The number of values, not keys
+    get size() {
+        return this.count;
+    }
+    add(key, ...values) {
+        if (values.length === 0)
+            return this;
+        const list = this.lists.get(key) || [];
+        list.push(...values);
+        this.lists.set(key, list);
+        this.count += values.length;
+        return this;
+    }
+    // A copy, changing it doesn't change the map
+    get(key) {
+        return (this.lists.get(key) || []).slice();
+    }
+    has(key, value) {
+        const list = this.lists.get(key);
+        if (!list)
+            return false;
+        return arguments.length < 2 || list.indexOf(value) !== -1;
+    }
+    // Without a value removes the key with all its values, with one removes every
+    // occurrence of that value. Returns how many values were removed.
+    delete(key, value) {
+        const list = this.lists.get(key);
+        if (!list)
+            return 0;
+        const kept = arguments.length < 2 ? [] : list.filter((v) => v !== value);
+        const removed = list.length - kept.length;
+        if (kept.length > 0)
+            this.lists.set(key, kept);
+        else
+            this.lists.delete(key);
+        this.count -= removed;
+        return removed;
+    }
+    keys() {
+        return Array.from(this.lists.keys());
+    }
+    clear() {
+        this.lists.clear();
+        this.count = 0;
+    }
+    // One [key, value] pair per value
+    *[Symbol.iterator]() {
+        for (const [key, list] of Array.from(this.lists)) {
+            for (const value of list)
+                yield [key, value];
+        }
+    }
+}
+// ===========================
+// Grouping by a property
+// ===========================
+// Buckets in the order their key first appears
+export function groupBy(items, key) {
+    const groups = new Map();
+    for (const item of Array.from(items)) {
+        const value = getProperty(item, key);
+        const group = groups.get(value);
+        if (group)
+            group.push(item);
+        else
+            groups.set(value, [item]);
+    }
+    return groups;
+}
+// One item per key; when several items share a key, the last one wins
+export function indexBy(items, key) {
+    const index = new Map();
+    for (const item of Array.from(items))
+        index.set(getProperty(item, key), item);
+    return index;
+}
+export function pluck(items, key) {
+    return Array.from(items).map((item) => getProperty(item, key));
+}
+// interface Task {
+//   title: string;
+//   priority: number;
+//   team: "web" | "api";
+// }
+// const tasks = new PriorityQueue<Task>(byKey("priority"));
+// tasks.push({ title: "deploy", priority: 2, team: "api" }, { title: "fix", priority: 1, team: "web" });
+// tasks.pop(); // the "fix" task
+//
+// groupBy(tasks.toSortedArray(), "team"); // Map { "api" => [...] }
+// pluck(tasks.toSortedArray(), "title"); // ["deploy"]
+// groupBy(tasks.toSortedArray(), "owner"); // error, "owner" is not a key of Task
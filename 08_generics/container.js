@@ -0,0 +1,129 @@
+// ****** Container ******
+// A key for values that have no class of their own: configuration, interfaces, ...
+export class Token {
+    constructor(description) {
+        this.description = description;
+    }
+    toString() {
+        return `Token(${this.description})`;
+    }
+}
+function describe(key) {
+    return key instanceof Token
+        ? key.description
+        : key.name || "<anonymous class>";
+}
+// ===========================
+// Errors
+// ===========================
+export class MissingRegistrationError extends Error {
+    constructor(chain) {
+        super(`Nothing is registered for ${describe(chain[chain.length - 1])}` +
+            (chain.length > 1 ? ` (${chain.map(describe).join(" -> ")}).` : "."));
+        this.chain = chain;
+        this.name = "MissingRegistrationError";
+    }
+}
+export class CircularDependencyError extends Error {
+    // The chain starts and ends with the same key: Bee -> BeeKeeper -> Bee
+    constructor(chain) {
+        super(`Circular dependency: ${chain.map(describe).join(" -> ")}.`);
+        this.chain = chain;
+        this.name = "CircularDependencyError";
+    }
+}
+export class Container {
+    constructor(parent) {
+        this.parent = parent;
+        this.registrations = new Map();
+        this.instances = new Map();
+        // keys being resolved right now, outermost first
+        this.resolving = [];
+    }
+    // A container that sees every registration of this one and can override any of them
+    // without changing this one, for tests and per-request scopes
+    createChild() {
+        return new Container(this);
+    }
+    registerClass(key, ctor, dependencies = [], lifetime = "singleton") {
+        const keys = dependencies;
+        return this.add(key, (container) => new ctor(...keys.map((d) => container.resolve(d))), lifetime);
+    }
+    registerFactory(key, factory, lifetime = "singleton") {
+        return this.add(key, factory, lifetime);
+    }
+    registerValue(key, value) {
+        return this.add(key, () => value, "singleton");
+    }
+    has(key) {
+        return !!this.find(key);
+    }
+    resolve(key) {
+        const registration = this.find(key);
+        if (!registration) {
+            throw new MissingRegistrationError(this.chainTo(key));
+        }
+        // a singleton is built by the container it was registered on, so the overrides of
+        // a child never leak into an instance every other container shares
+        const home = registration.lifetime === "singleton" ? registration.owner : this;
+        if (home !== this) {
+            // share the chain so cycles through several containers are still found
+            const saved = home.resolving;
+            home.resolving = this.resolving;
+            try {
+                return home.resolve(key);
+            }
+            finally {
+                home.resolving = saved;
+            }
+        }
+        if (registration.lifetime !== "transient" && this.instances.has(key)) {
+            return this.instances.get(key);
+        }
+        if (this.resolving.indexOf(key) !== -1) {
+            throw new CircularDependencyError(this.chainTo(key));
+        }
+        this.resolving.push(key);
+        try {
+            const instance = registration.create(this);
+            if (registration.lifetime !== "transient") {
+                this.instances.set(key, instance);
+            }
+            return instance;
+        }
+        finally {
+            this.resolving.pop();
+        }
+    }
+    add(key, create, lifetime) {
+        this.registrations.set(key, { create, lifetime, owner: this });
+        // a new registration replaces whatever was built from the old one
+        this.instances.delete(key);
+        return this;
+    }
+    find(key) {
+        return (this.registrations.get(key) || (this.parent && this.parent.find(key)));
+    }
+    chainTo(key) {
+        const start = this.resolving.indexOf(key);
+        return start === -1
+            ? this.resolving.concat([key])
+            : this.resolving.slice(start).concat([key]);
+    }
+}
+// class BeeKeeper {
+//   hasMask = true;
+// }
+// class Bee {
+//   constructor(readonly keeper: BeeKeeper, readonly name: string) {}
+// }
+// const BeeName = new Token<string>("BeeName");
+//
+// const container = new Container()
+//   .registerClass(BeeKeeper, BeeKeeper)
+//   .registerValue(BeeName, "Maya")
+//   .registerClass(Bee, Bee, [BeeKeeper, BeeName], "transient");
+// container.resolve(Bee).keeper.hasMask; // true
+//
+// const test = container.createChild().registerValue(BeeName, "Willy");
+// test.resolve(Bee).name; // "Willy", container.resolve(Bee).name is still "Maya"
@@ -0,0 +1,219 @@
+// ****** Container ******
+
+// create<T>(c: { new (): T }) and createInstance in generics.ts can only call
+// constructors without arguments, so a Bee never gets its BeeKeeper. A Container keeps
+// the wiring in one place: every class or factory is registered under a key (a class or
+// a Token<T>) together with the keys of what it needs, and resolve(Bee) builds the
+// BeeKeeper first. The key's type parameter flows through, so resolve(token) returns
+// the registered type and a class registered with dependencies of the wrong type does
+// not compile.
+
+// ===========================
+// Keys
+// ===========================
+
+export type Constructor<T, Args extends any[] = any[]> = new (
+  ...args: Args
+) => T;
+
+// A key for values that have no class of their own: configuration, interfaces, ...
+export class Token<T> {
+  // never set, only there so Token<string> and Token<number> are different types
+  private readonly type?: T;
+
+  constructor(readonly description: string) {}
+
+  toString(): string {
+    return `Token(${this.description})`;
+  }
+}
+
+export type Key<T> = Token<T> | Constructor<T>;
+
+// The keys for a tuple of constructor parameters: [BeeKeeper, string] needs
+// [Key<BeeKeeper>, Key<string>]
+export type Keys<Args extends unknown[]> = { [I in keyof Args]: Key<Args[I]> };
+
+function describe(key: Key<unknown>): string {
+  return key instanceof Token
+    ? key.description
+    : key.name || "<anonymous class>";
+}
+
+// ===========================
+// Errors
+// ===========================
+
+export class MissingRegistrationError extends Error {
+  name = "MissingRegistrationError";
+
+  constructor(readonly chain: Key<unknown>[]) {
+    super(
+      `Nothing is registered for ${describe(chain[chain.length - 1])}` +
+        (chain.length > 1 ? ` (${chain.map(describe).join(" -> ")}).` : ".")
+    );
+  }
+}
+
+export class CircularDependencyError extends Error {
+  name = "CircularDependencyError";
+
+  // The chain starts and ends with the same key: Bee -> BeeKeeper -> Bee
+  constructor(readonly chain: Key<unknown>[]) {
+    super(`Circular dependency: ${chain.map(describe).join(" -> ")}.`);
+  }
+}
+
+// ===========================
+// Container
+// ===========================
+
+// singleton: one instance, shared with every child container
+// scoped: one instance per container, so each child (e.g. each request) gets its own
+// transient: a new instance on every resolve
+export type Lifetime = "singleton" | "scoped" | "transient";
+
+interface Registration<T> {
+  create: (container: Container) => T;
+  lifetime: Lifetime;
+  // the container the registration was made on; singletons live there
+  owner: Container;
+}
+
+export class Container {
+  private registrations = new Map<Key<unknown>, Registration<unknown>>();
+  private instances = new Map<Key<unknown>, unknown>();
+  // keys being resolved right now, outermost first
+  private resolving: Key<unknown>[] = [];
+
+  constructor(private readonly parent?: Container) {}
+
+  // A container that sees every registration of this one and can override any of them
+  // without changing this one, for tests and per-request scopes
+  createChild(): Container {
+    return new Container(this);
+  }
+
+  registerClass<T, Args extends any[]>(
+    key: Key<T>,
+    ctor: Constructor<T, Args>,
+    dependencies: Keys<Args>,
+    lifetime?: Lifetime
+  ): this;
+  registerClass<T>(
+    key: Key<T>,
+    ctor: Constructor<T, []>,
+    dependencies?: [],
+    lifetime?: Lifetime
+  ): this;
+  registerClass<T>(
+    key: Key<T>,
+    ctor: Constructor<T>,
+    dependencies: unknown = [],
+    lifetime: Lifetime = "singleton"
+  ): this {
+    const keys = dependencies as Key<unknown>[];
+    return this.add(
+      key,
+      (container) => new ctor(...keys.map((d) => container.resolve(d))),
+      lifetime
+    );
+  }
+
+  registerFactory<T>(
+    key: Key<T>,
+    factory: (container: Container) => T,
+    lifetime: Lifetime = "singleton"
+  ): this {
+    return this.add(key, factory, lifetime);
+  }
+
+  registerValue<T>(key: Key<T>, value: T): this {
+    return this.add(key, () => value, "singleton");
+  }
+
+  has(key: Key<unknown>): boolean {
+    return !!this.find(key);
+  }
+
+  resolve<T>(key: Key<T>): T {
+    const registration = this.find(key) as Registration<T> | undefined;
+    if (!registration) {
+      throw new MissingRegistrationError(this.chainTo(key));
+    }
+
+    // a singleton is built by the container it was registered on, so the overrides of
+    // a child never leak into an instance every other container shares
+    const home =
+      registration.lifetime === "singleton" ? registration.owner : this;
+    if (home !== this) {
+      // share the chain so cycles through several containers are still found
+      const saved = home.resolving;
+      home.resolving = this.resolving;
+      try {
+        return home.resolve(key);
+      } finally {
+        home.resolving = saved;
+      }
+    }
+
+    if (registration.lifetime !== "transient" && this.instances.has(key)) {
+      return this.instances.get(key) as T;
+    }
+    if (this.resolving.indexOf(key) !== -1) {
+      throw new CircularDependencyError(this.chainTo(key));
+    }
+
+    this.resolving.push(key);
+    try {
+      const instance = registration.create(this);
+      if (registration.lifetime !== "transient") {
+        this.instances.set(key, instance);
+      }
+      return instance;
+    } finally {
+      this.resolving.pop();
+    }
+  }
+
+  private add<T>(
+    key: Key<T>,
+    create: (container: Container) => T,
+    lifetime: Lifetime
+  ): this {
+    this.registrations.set(key, { create, lifetime, owner: this });
+    // a new registration replaces whatever was built from the old one
+    this.instances.delete(key);
+    return this;
+  }
+
+  private find(key: Key<unknown>): Registration<unknown> | undefined {
+    return (
+      this.registrations.get(key) || (this.parent && this.parent.find(key))
+    );
+  }
+
+  private chainTo(key: Key<unknown>): Key<unknown>[] {
+    const start = this.resolving.indexOf(key);
+    return start === -1
+      ? this.resolving.concat([key])
+      : this.resolving.slice(start).concat([key]);
+  }
+}
+
+// class BeeKeeper {
+//   hasMask = true;
+// }
+// class Bee {
+//   constructor(readonly keeper: BeeKeeper, readonly name: string) {}
+// }
+// const BeeName = new Token<string>("BeeName");
+//
+// const container = new Container()
+//   .registerClass(BeeKeeper, BeeKeeper)
+//   .registerValue(BeeName, "Maya")
+//   .registerClass(Bee, Bee, [BeeKeeper, BeeName], "transient");
+// container.resolve(Bee).keeper.hasMask; // true
+//
+// const test = container.createChild().registerValue(BeeName, "Willy");
+// test.resolve(Bee).name; // "Willy", container.resolve(Bee).name is still "Maya"
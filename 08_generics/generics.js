@@ -1,4 +1,5 @@
 // ****** Generics ******
+import { getProperty } from "./get_property";
 // ===========================
 // Hello World of Generics
 // ===========================
@@ -137,9 +138,10 @@ loggingIdentity2({ length: 10, value: 3 });
 // For example, here we’d like to get a property from an object given its name.
 // We’d like to ensure that we’re not accidentally grabbing a property that does
 // not exist on the obj, so we’ll place a constraint between the two types
-function getProperty(obj, key) {
-    return obj[key];
-}
+// getProperty sits in get_property.ts, collections.ts builds on it too:
+// function getProperty<T, K extends keyof T>(obj: T, key: K) {
+//   return obj[key];
+// }
 let x = { a: 1, b: 2, c: 3, d: 4 };
 getProperty(x, "a");
 // getProperty(x, "m"); // error
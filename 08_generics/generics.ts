@@ -1,5 +1,7 @@
 // ****** Generics ******
 
+import { getProperty } from "./get_property";
+
 // ===========================
 // Hello World of Generics
 // ===========================
@@ -249,9 +251,10 @@ loggingIdentity2({ length: 10, value: 3 });
 // We’d like to ensure that we’re not accidentally grabbing a property that does
 // not exist on the obj, so we’ll place a constraint between the two types
 
-function getProperty<T, K extends keyof T>(obj: T, key: K) {
-  return obj[key];
-}
+// getProperty sits in get_property.ts, collections.ts builds on it too:
+// function getProperty<T, K extends keyof T>(obj: T, key: K) {
+//   return obj[key];
+// }
 
 let x = { a: 1, b: 2, c: 3, d: 4 };
 getProperty(x, "a");
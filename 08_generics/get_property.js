@@ -0,0 +1,7 @@
+// ****** Get Property ******
+// getProperty from "Using Type Parameters in Generic Constraints" in generics.ts. The
+// keyed helpers in collections.ts (byKey, groupBy, indexBy, pluck) read their property
+// through it, and they import this module rather than the chapter with its examples.
+export function getProperty(obj, key) {
+    return obj[key];
+}
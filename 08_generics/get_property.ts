@@ -0,0 +1,9 @@
+// ****** Get Property ******
+
+// getProperty from "Using Type Parameters in Generic Constraints" in generics.ts. The
+// keyed helpers in collections.ts (byKey, groupBy, indexBy, pluck) read their property
+// through it, and they import this module rather than the chapter with its examples.
+
+export function getProperty<T, K extends keyof T>(obj: T, key: K): T[K] {
+  return obj[key];
+}
@@ -0,0 +1,320 @@
+// ****** Numeric ******
+
+// GenericNumber1<T> and GenericNumber2<T> in generics.ts leave zeroValue and add to be
+// filled in by hand for every use. A Numeric<T> is that idea completed: the arithmetic
+// of one number type, so algorithms like sum or matrixMultiply are written once, against
+// Numeric<T>, and run on floating-point numbers, bigints, exact decimals or fractions.
+// Money can use decimalNumeric and still share its code with everything else.
+
+// ===========================
+// The Numeric interface
+// ===========================
+
+export interface Numeric<T> {
+  zero: T;
+  one: T;
+  add(a: T, b: T): T;
+  sub(a: T, b: T): T;
+  mul(a: T, b: T): T;
+  // Throws a RangeError when b is zero
+  div(a: T, b: T): T;
+  // Negative when a < b, 0 when equal, positive when a > b
+  compare(a: T, b: T): number;
+  fromInteger(n: number): T;
+  format(a: T): string;
+}
+
+function assertInteger(n: number): void {
+  if (!Number.isSafeInteger(n)) throw new RangeError(`${n} is not an integer.`);
+}
+
+function divisionByZero(): RangeError {
+  return new RangeError("Division by zero.");
+}
+
+// ===========================
+// number and bigint
+// ===========================
+
+export const numberNumeric: Numeric<number> = {
+  zero: 0,
+  one: 1,
+  add: (a, b) => a + b,
+  sub: (a, b) => a - b,
+  mul: (a, b) => a * b,
+  div(a, b) {
+    if (b === 0) throw divisionByZero();
+    return a / b;
+  },
+  compare: (a, b) => a - b,
+  fromInteger: (n) => n,
+  format: (a) => String(a),
+};
+
+// Division truncates toward zero, like bigint's own `/`
+export const bigintNumeric: Numeric<bigint> = {
+  zero: 0n,
+  one: 1n,
+  add: (a, b) => a + b,
+  sub: (a, b) => a - b,
+  mul: (a, b) => a * b,
+  div(a, b) {
+    if (b === 0n) throw divisionByZero();
+    return a / b;
+  },
+  compare: (a, b) => (a < b ? -1 : a > b ? 1 : 0),
+  fromInteger(n) {
+    assertInteger(n);
+    return BigInt(n);
+  },
+  format: (a) => String(a),
+};
+
+// ===========================
+// Exact decimals
+// ===========================
+
+// A decimal number written as a string, "-12.50". Results are normalized, without
+// trailing zeros: add("0.10", "0.20") is "0.3".
+export type Decimal = string;
+
+// value / 10^scale
+interface ScaledInteger {
+  value: bigint;
+  scale: number;
+}
+
+function pow10(exponent: number): bigint {
+  return BigInt("1" + Array(exponent + 1).join("0"));
+}
+
+function parseDecimal(text: Decimal): ScaledInteger {
+  const match = /^([+-]?)(\d+)(?:\.(\d+))?$/.exec(String(text).trim());
+  if (!match) throw new Error(`Invalid decimal '${text}'.`);
+  const [, sign, whole, fraction = ""] = match;
+  return {
+    value: BigInt(`${sign}${whole}${fraction}`),
+    scale: fraction.length,
+  };
+}
+
+function formatDecimal({ value, scale }: ScaledInteger): Decimal {
+  const negative = value < 0n;
+  let digits = String(negative ? -value : value);
+  if (digits.length <= scale) {
+    digits = Array(scale - digits.length + 2).join("0") + digits;
+  }
+  const whole = digits.slice(0, digits.length - scale);
+  const fraction = digits.slice(digits.length - scale).replace(/0+$/, "");
+  const text = fraction ? `${whole}.${fraction}` : whole;
+  return negative && text !== "0" ? `-${text}` : text;
+}
+
+// Both numbers with the larger of the two scales
+function align(a: ScaledInteger, b: ScaledInteger): [bigint, bigint, number] {
+  const scale = Math.max(a.scale, b.scale);
+  return [
+    a.value * pow10(scale - a.scale),
+    b.value * pow10(scale - b.scale),
+    scale,
+  ];
+}
+
+// numerator / denominator rounded to the nearest integer, ties to the even neighbour
+// (banker's rounding, the usual choice for money)
+function divideHalfEven(numerator: bigint, denominator: bigint): bigint {
+  if (denominator < 0n) {
+    numerator = -numerator;
+    denominator = -denominator;
+  }
+  const quotient = numerator / denominator;
+  const remainder = numerator % denominator;
+  const twice = (remainder < 0n ? -remainder : remainder) * 2n;
+  if (twice < denominator) return quotient;
+  const away = remainder < 0n ? quotient - 1n : quotient + 1n;
+  if (twice > denominator) return away;
+  return quotient % 2n === 0n ? quotient : away;
+}
+
+// Addition, subtraction and multiplication are exact. Division can't always be (1/3),
+// so its result is rounded half-even to `divisionScale` decimal places.
+export function createDecimalNumeric(divisionScale = 20): Numeric<Decimal> {
+  if (!(Number.isInteger(divisionScale) && divisionScale >= 0)) {
+    throw new RangeError("divisionScale must be a non-negative integer.");
+  }
+  return {
+    zero: "0",
+    one: "1",
+    add(a, b) {
+      const [x, y, scale] = align(parseDecimal(a), parseDecimal(b));
+      return formatDecimal({ value: x + y, scale });
+    },
+    sub(a, b) {
+      const [x, y, scale] = align(parseDecimal(a), parseDecimal(b));
+      return formatDecimal({ value: x - y, scale });
+    },
+    mul(a, b) {
+      const x = parseDecimal(a);
+      const y = parseDecimal(b);
+      return formatDecimal({
+        value: x.value * y.value,
+        scale: x.scale + y.scale,
+      });
+    },
+    div(a, b) {
+      const x = parseDecimal(a);
+      const y = parseDecimal(b);
+      if (y.value === 0n) throw divisionByZero();
+      // (x.value / 10^x.scale) / (y.value / 10^y.scale), times 10^divisionScale
+      const value = divideHalfEven(
+        x.value * pow10(y.scale + divisionScale),
+        y.value * pow10(x.scale)
+      );
+      return formatDecimal({ value, scale: divisionScale });
+    },
+    compare(a, b) {
+      const [x, y] = align(parseDecimal(a), parseDecimal(b));
+      return x < y ? -1 : x > y ? 1 : 0;
+    },
+    fromInteger(n) {
+      assertInteger(n);
+      return String(n);
+    },
+    format: (a) => formatDecimal(parseDecimal(a)),
+  };
+}
+
+export const decimalNumeric = createDecimalNumeric();
+
+// ===========================
+// Rationals
+// ===========================
+
+// Always in lowest terms with a positive denominator, so equal fractions have equal
+// fields
+export interface Rational {
+  readonly numerator: bigint;
+  readonly denominator: bigint;
+}
+
+function gcd(a: bigint, b: bigint): bigint {
+  a = a < 0n ? -a : a;
+  b = b < 0n ? -b : b;
+  while (b !== 0n) [a, b] = [b, a % b];
+  return a;
+}
+
+export function rational(
+  numerator: bigint | number,
+  denominator: bigint | number = 1n
+): Rational {
+  let n = typeof numerator === "number" ? BigInt(numerator) : numerator;
+  let d = typeof denominator === "number" ? BigInt(denominator) : denominator;
+  if (d === 0n) throw new RangeError("The denominator cannot be zero.");
+  if (d < 0n) {
+    n = -n;
+    d = -d;
+  }
+  const divisor = gcd(n, d) || 1n;
+  return { numerator: n / divisor, denominator: d / divisor };
+}
+
+export const rationalNumeric: Numeric<Rational> = {
+  zero: rational(0n),
+  one: rational(1n),
+  add: (a, b) =>
+    rational(
+      a.numerator * b.denominator + b.numerator * a.denominator,
+      a.denominator * b.denominator
+    ),
+  sub: (a, b) =>
+    rational(
+      a.numerator * b.denominator - b.numerator * a.denominator,
+      a.denominator * b.denominator
+    ),
+  mul: (a, b) =>
+    rational(a.numerator * b.numerator, a.denominator * b.denominator),
+  div(a, b) {
+    if (b.numerator === 0n) throw divisionByZero();
+    return rational(a.numerator * b.denominator, a.denominator * b.numerator);
+  },
+  compare(a, b) {
+    const x = a.numerator * b.denominator;
+    const y = b.numerator * a.denominator;
+    return x < y ? -1 : x > y ? 1 : 0;
+  },
+  fromInteger(n) {
+    assertInteger(n);
+    return rational(n);
+  },
+  format: (a) =>
+    a.denominator === 1n
+      ? String(a.numerator)
+      : `${a.numerator}/${a.denominator}`,
+};
+
+// ===========================
+// Algorithms
+// ===========================
+
+export type Vector<T> = T[];
+export type Matrix<T> = T[][];
+
+export function sum<T>(numeric: Numeric<T>, values: T[]): T {
+  return values.reduce(
+    (total, value) => numeric.add(total, value),
+    numeric.zero
+  );
+}
+
+export function mean<T>(numeric: Numeric<T>, values: T[]): T {
+  if (values.length === 0) throw new RangeError("The mean of no values.");
+  return numeric.div(sum(numeric, values), numeric.fromInteger(values.length));
+}
+
+export function dot<T>(numeric: Numeric<T>, a: Vector<T>, b: Vector<T>): T {
+  if (a.length !== b.length) {
+    throw new RangeError(`Vector lengths differ: ${a.length} and ${b.length}.`);
+  }
+  return sum(
+    numeric,
+    a.map((value, i) => numeric.mul(value, b[i]))
+  );
+}
+
+// (rows x n) times (n x columns)
+export function matrixMultiply<T>(
+  numeric: Numeric<T>,
+  a: Matrix<T>,
+  b: Matrix<T>
+): Matrix<T> {
+  const inner = b.length;
+  const columns = inner > 0 ? b[0].length : 0;
+  if (a.some((row) => row.length !== inner)) {
+    throw new RangeError(
+      `Cannot multiply: the left matrix needs ${inner} columns.`
+    );
+  }
+  if (b.some((row) => row.length !== columns)) {
+    throw new RangeError("The right matrix has rows of different lengths.");
+  }
+  return a.map((row) => {
+    const result: T[] = [];
+    for (let j = 0; j < columns; j++) {
+      result.push(
+        dot(
+          numeric,
+          row,
+          b.map((r) => r[j])
+        )
+      );
+    }
+    return result;
+  });
+}
+
+// sum(numberNumeric, [0.1, 0.2]); // 0.30000000000000004
+// sum(decimalNumeric, ["0.1", "0.2"]); // "0.3"
+// mean(decimalNumeric, ["10", "10", "11"]); // "10.33333333333333333333"
+// rationalNumeric.format(mean(rationalNumeric, [rational(1), rational(2, 3)])); // "5/6"
+// matrixMultiply(bigintNumeric, [[1n, 2n]], [[3n], [4n]]); // [[11n]]
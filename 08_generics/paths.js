@@ -0,0 +1,120 @@
+// ****** Paths ******
+function isContainer(value) {
+    return typeof value === "object" && value !== null;
+}
+function segments(path) {
+    const keys = String(path).split(".");
+    if (keys.some((key) => key.length === 0)) {
+        throw new Error(`Invalid path '${path}'.`);
+    }
+    return keys;
+}
+function hasOwn(container, key) {
+    return Object.prototype.hasOwnProperty.call(container, key);
+}
+function isIndex(key) {
+    return /^\d+$/.test(key);
+}
+// A shallow copy with the same prototype, so class instances stay instances
+function copy(container) {
+    if (Array.isArray(container))
+        return container.slice();
+    return Object.assign(Object.create(Object.getPrototypeOf(container)), container);
+}
+// ===========================
+// Reading
+// ===========================
+// undefined when a step on the way is missing, null or not an object
+export function get(obj, path) {
+    let current = obj;
+    for (const key of segments(path)) {
+        if (!isContainer(current))
+            return undefined;
+        current = current[key];
+    }
+    return current;
+}
+// Whether every step exists as an own property, even if the value there is undefined
+export function has(obj, path) {
+    let current = obj;
+    for (const key of segments(path)) {
+        if (!isContainer(current) || !hasOwn(current, key))
+            return false;
+        current = current[key];
+    }
+    return true;
+}
+// ===========================
+// Immutable updates
+// ===========================
+function setIn(current, keys, value, path) {
+    const [key, ...rest] = keys;
+    let container;
+    if (isContainer(current)) {
+        container = current;
+    }
+    else if (current === undefined || current === null) {
+        // missing steps are created: an array if the key is an index, else an object
+        container = isIndex(key) ? [] : {};
+    }
+    else {
+        throw new TypeError(`Cannot set '${path}': found ${typeof current} '${current}' on the way.`);
+    }
+    const old = container[key];
+    const updated = rest.length === 0 ? value : setIn(old, rest, value, path);
+    // nothing changed, keep the original so === still holds
+    if (container === current && hasOwn(container, key) && old === updated) {
+        return container;
+    }
+    const result = container === current ? copy(container) : container;
+    result[key] = updated;
+    return result;
+}
+// A copy of obj with `value` at `path`; objects and arrays that are missing on the
+// way are created
+export function set(obj, path, value) {
+    return setIn(obj, segments(path), value, path);
+}
+export function update(obj, path, updater) {
+    return set(obj, path, updater(get(obj, path)));
+}
+function removeIn(current, keys) {
+    const [key, ...rest] = keys;
+    if (!isContainer(current) || !hasOwn(current, key))
+        return current;
+    const old = current[key];
+    if (rest.length > 0) {
+        const updated = removeIn(old, rest);
+        if (updated === old)
+            return current;
+        const result = copy(current);
+        result[key] = updated;
+        return result;
+    }
+    const result = copy(current);
+    if (Array.isArray(result))
+        result.splice(Number(key), 1);
+    else
+        delete result[key];
+    return result;
+}
+// A copy of obj without the property at `path` (delete is a reserved word). Removing
+// an array element shifts the ones after it, like splice. Returns obj itself when there
+// is nothing to remove.
+export function remove(obj, path) {
+    return removeIn(obj, segments(path));
+}
+// interface Settings {
+//   user: { name: string; tags: string[] };
+//   theme?: { dark: boolean };
+// }
+// const settings: Settings = { user: { name: "Ada", tags: ["admin"] } };
+//
+// get(settings, "user.tags.0"); // "admin", typed string
+// get(settings, "theme.dark"); // undefined, typed boolean | undefined
+// get(settings, "user.email"); // error, not a path of Settings
+//
+// const dark = set(settings, "theme.dark", true); // { ..., theme: { dark: true } }
+// dark.user === settings.user; // true, only the changed path is copied
+// update(settings, "user.name", (name) => name.toUpperCase()); // name: "ADA"
+// remove(settings, "user.tags.0"); // tags: []
@@ -0,0 +1,204 @@
+// ****** Paths ******
+
+// getProperty<T, K extends keyof T> in generics.ts reaches one level down. The types
+// below extend the same constraint to a whole path: Path<T> is every dotted path into
+// T ("a", "a.b", "a.b.0.c"), so get(obj, "a.b.0.c") only compiles if the path exists
+// and returns the type found there. Reading looselyTyped$.a.b.c.d from basic_types.ts
+// crashes at runtime; get() returns undefined as soon as a step is missing.
+//
+// set, update and remove never change their argument. They copy the objects and arrays
+// along the path and share everything else with the original, so the result can be
+// compared with === to find out what changed, like React state.
+
+// ===========================
+// Path types
+// ===========================
+
+// Values a path stops at
+type Leaf = string | number | boolean | bigint | symbol | Date | Function;
+
+// Counts the depth down, so recursive types like trees don't expand forever
+type Prev = [never, 0, 1, 2, 3, 4, 5, 6, 7];
+
+// Array elements are reached by their index: "items.0.name"
+export type Path<T, Depth extends number = 8> = [Depth] extends [never]
+  ? never
+  : T extends Leaf | null | undefined
+  ? never
+  : T extends readonly (infer E)[]
+  ? `${number}` | `${number}.${Path<E, Prev[Depth]>}`
+  : {
+      [K in keyof T & string]-?:
+        | K
+        | `${K}.${Path<NonNullable<T[K]>, Prev[Depth]>}`;
+    }[keyof T & string];
+
+// One step; optional properties on the way make the result optional too
+type Step<T, K extends string> = T extends null | undefined
+  ? undefined
+  : T extends readonly (infer E)[]
+  ? K extends `${number}`
+    ? E
+    : never
+  : K extends keyof T
+  ? T[K]
+  : never;
+
+export type PathValue<
+  T,
+  P extends string
+> = P extends `${infer K}.${infer Rest}`
+  ? PathValue<Step<T, K>, Rest>
+  : Step<T, P>;
+
+// ===========================
+// Walking a path
+// ===========================
+
+type Container = Record<string, unknown> | unknown[];
+
+function isContainer(value: unknown): value is Container {
+  return typeof value === "object" && value !== null;
+}
+
+function segments(path: string): string[] {
+  const keys = String(path).split(".");
+  if (keys.some((key) => key.length === 0)) {
+    throw new Error(`Invalid path '${path}'.`);
+  }
+  return keys;
+}
+
+function hasOwn(container: Container, key: string): boolean {
+  return Object.prototype.hasOwnProperty.call(container, key);
+}
+
+function isIndex(key: string): boolean {
+  return /^\d+$/.test(key);
+}
+
+// A shallow copy with the same prototype, so class instances stay instances
+function copy<C extends Container>(container: C): C {
+  if (Array.isArray(container)) return container.slice() as C;
+  return Object.assign(
+    Object.create(Object.getPrototypeOf(container)),
+    container
+  );
+}
+
+// ===========================
+// Reading
+// ===========================
+
+// undefined when a step on the way is missing, null or not an object
+export function get<T, P extends Path<T>>(obj: T, path: P): PathValue<T, P> {
+  let current: unknown = obj;
+  for (const key of segments(path)) {
+    if (!isContainer(current)) return undefined as PathValue<T, P>;
+    current = (current as Record<string, unknown>)[key];
+  }
+  return current as PathValue<T, P>;
+}
+
+// Whether every step exists as an own property, even if the value there is undefined
+export function has<T>(obj: T, path: Path<T>): boolean {
+  let current: unknown = obj;
+  for (const key of segments(path)) {
+    if (!isContainer(current) || !hasOwn(current, key)) return false;
+    current = (current as Record<string, unknown>)[key];
+  }
+  return true;
+}
+
+// ===========================
+// Immutable updates
+// ===========================
+
+function setIn(
+  current: unknown,
+  keys: string[],
+  value: unknown,
+  path: string
+): unknown {
+  const [key, ...rest] = keys;
+  let container: Container;
+  if (isContainer(current)) {
+    container = current;
+  } else if (current === undefined || current === null) {
+    // missing steps are created: an array if the key is an index, else an object
+    container = isIndex(key) ? [] : {};
+  } else {
+    throw new TypeError(
+      `Cannot set '${path}': found ${typeof current} '${current}' on the way.`
+    );
+  }
+
+  const old = (container as Record<string, unknown>)[key];
+  const updated = rest.length === 0 ? value : setIn(old, rest, value, path);
+  // nothing changed, keep the original so === still holds
+  if (container === current && hasOwn(container, key) && old === updated) {
+    return container;
+  }
+  const result = container === current ? copy(container) : container;
+  (result as Record<string, unknown>)[key] = updated;
+  return result;
+}
+
+// A copy of obj with `value` at `path`; objects and arrays that are missing on the
+// way are created
+export function set<T, P extends Path<T>>(
+  obj: T,
+  path: P,
+  value: PathValue<T, P>
+): T {
+  return setIn(obj, segments(path), value, path) as T;
+}
+
+export function update<T, P extends Path<T>>(
+  obj: T,
+  path: P,
+  updater: (value: PathValue<T, P>) => PathValue<T, P>
+): T {
+  return set(obj, path, updater(get(obj, path)));
+}
+
+function removeIn(current: unknown, keys: string[]): unknown {
+  const [key, ...rest] = keys;
+  if (!isContainer(current) || !hasOwn(current, key)) return current;
+
+  const old = (current as Record<string, unknown>)[key];
+  if (rest.length > 0) {
+    const updated = removeIn(old, rest);
+    if (updated === old) return current;
+    const result = copy(current);
+    (result as Record<string, unknown>)[key] = updated;
+    return result;
+  }
+
+  const result = copy(current);
+  if (Array.isArray(result)) result.splice(Number(key), 1);
+  else delete result[key];
+  return result;
+}
+
+// A copy of obj without the property at `path` (delete is a reserved word). Removing
+// an array element shifts the ones after it, like splice. Returns obj itself when there
+// is nothing to remove.
+export function remove<T>(obj: T, path: Path<T>): T {
+  return removeIn(obj, segments(path)) as T;
+}
+
+// interface Settings {
+//   user: { name: string; tags: string[] };
+//   theme?: { dark: boolean };
+// }
+// const settings: Settings = { user: { name: "Ada", tags: ["admin"] } };
+//
+// get(settings, "user.tags.0"); // "admin", typed string
+// get(settings, "theme.dark"); // undefined, typed boolean | undefined
+// get(settings, "user.email"); // error, not a path of Settings
+//
+// const dark = set(settings, "theme.dark", true); // { ..., theme: { dark: true } }
+// dark.user === settings.user; // true, only the changed path is copied
+// update(settings, "user.name", (name) => name.toUpperCase()); // name: "ADA"
+// remove(settings, "user.tags.0"); // tags: []